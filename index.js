@@ -1,3 +1,33 @@
 'use strict';
 
-module.exports = require('./lib/askspoke');
+const Spoke = require('./lib/askspoke');
+const errors = require('./lib/errors');
+
+Spoke.credentials = require('./lib/credentials');
+Spoke.checkpoint = require('./lib/checkpoint');
+Spoke.hooks = require('./lib/hooks');
+Spoke.FixtureStore = require('./lib/fixtures').FixtureStore;
+Spoke.models = require('./lib/models');
+Spoke.RequestTypeSchema = require('./lib/forms').RequestTypeSchema;
+Spoke.validation = require('./lib/validation');
+Spoke.FakeSpokeServer = require('./lib/fake-server');
+Spoke.SpokeWebhooks = require('./lib/webhooks');
+Spoke.RequestWatcher = require('./lib/watcher').RequestWatcher;
+Spoke.messages = require('./lib/messages');
+Spoke.reports = require('./lib/reports');
+Spoke.SpokePool = require('./lib/pool').SpokePool;
+Spoke.SpokeError = errors.SpokeError;
+Spoke.SpokeAuthError = errors.SpokeAuthError;
+Spoke.SpokeNotFoundError = errors.SpokeNotFoundError;
+Spoke.SpokeValidationError = errors.SpokeValidationError;
+Spoke.SpokeConflictError = errors.SpokeConflictError;
+Spoke.SpokeRateLimitError = errors.SpokeRateLimitError;
+Spoke.SpokeServerError = errors.SpokeServerError;
+Spoke.SpokeCredentialsError = errors.SpokeCredentialsError;
+Spoke.SpokeWebhookError = errors.SpokeWebhookError;
+Spoke.SpokeResolveError = errors.SpokeResolveError;
+Spoke.SpokeFormError = errors.SpokeFormError;
+Spoke.SpokePayloadError = errors.SpokePayloadError;
+Spoke.SpokeFixtureError = errors.SpokeFixtureError;
+
+module.exports = Spoke;
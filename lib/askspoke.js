@@ -1,7 +1,32 @@
 'use strict';
 
 const got = require('got');
-const AWS = require('aws-sdk');
+const credentials = require('./credentials');
+const { paginate, collect } = require('./paginate');
+const retry = require('./retry');
+const hooks = require('./hooks');
+const fixtures = require('./fixtures');
+const errors = require('./errors');
+const resolvers = require('./resolvers');
+const resources = require('./resources');
+const validation = require('./validation');
+const { TasksClient } = require('./tasks');
+const { BulkClient } = require('./bulk');
+const { DelegationClient } = require('./delegation');
+const { MessagesClient } = require('./messages');
+const { exportRequests } = require('./export');
+const { RequestWatcher } = require('./watcher');
+const { serviceReport } = require('./reports');
+
+const DEFAULT_BASE_URL = 'https://api.askspoke.com/api/v1/';
+
+const LIST_METHODS = {
+  requests: 'listRequests',
+  users: 'listUsers',
+  teams: 'listTeams',
+  tags: 'listTags',
+  requestTypes: 'listRequestTypes'
+};
 
 
 class Spoke {
@@ -9,60 +34,220 @@ class Spoke {
   /** This class creates a new Spoke API client
    * https://askspoke.com/api/reference
    * @constructor
-   * @param {string} secretPrefix - AWS Secrets Manager secret prefix with Spoke API access token
+   * @param {string|Object} [options] - AWS Secrets Manager secret prefix with Spoke API access token, or an options object
+   * @param {string} [options.apiKey] - literal Spoke API key
+   * @param {string} [options.apiKeyEnv] - environment variable holding the Spoke API key
+   * @param {string} [options.apiKeyFile] - file holding the Spoke API key
+   * @param {string} [options.secretPrefix] - AWS Secrets Manager secret prefix with Spoke API access token
+   * @param {string} [options.region=us-east-1] - AWS region for the Secrets Manager lookup
+   * @param {string} [options.secretKey] - key to extract when the secret is a JSON object
+   * @param {Function|Function[]} [options.credentials] - custom credential provider(s), tried in order
+   * When no credential option is given the key is read from the SPOKE_API_KEY environment variable.
+   * @param {string} [options.baseUrl=https://api.askspoke.com/api/v1/] - Spoke API base URL (e.g. a FakeSpokeServer)
+   * @param {Object|number|boolean} [options.retry] - retry policy (see lib/retry.js), an attempt limit, or false to disable
+   * @param {number} [options.timeout] - milliseconds before an attempt times out (and is retried like a network error)
+   * @param {string|Object} [options.team] - team ID or { name } reference new requests are assigned to when they name none
+   * @param {number} [options.tokenTtl] - how long the API key is cached, in milliseconds (default: until Spoke answers 401)
+   * @param {number} [options.resolverTtl=300000] - how long name lookups are cached, in milliseconds
+   * @param {Object|Object[]} [options.hooks] - request lifecycle hooks for every call (see lib/hooks.js)
+   * @param {string|Object} [options.fixtures] - fixture directory, or { dir, mode, scrub }, to record or replay calls (see lib/fixtures.js)
+   * @param {boolean|Object} [options.validation] - false to skip client-side payload checks, or { strict, onWarning };
+   * strict turns unknown-key warnings into errors, onWarning defaults to process.emitWarning
+   * @param {string|Object} [options.actor] - user ID, email or reference that messages are posted as by default
+   * @param {Object} [options.templates] - named message templates, { name: text or (context) => text } (see lib/messages.js)
    * @const {string} token - Spoke API token
-   * @const {Object} params - options object parameter for calling got()
-   * @const {string} pathname - request path (appended to hostname URL)
    * @example <caption>Example Spoke class usage</caption>
    * const Spoke = require('@mapbox/node-spoke');
    * const spoke = new Spoke(secretPrefix);
+   * @example <caption>Example Spoke class usage with a credential chain</caption>
+   * const spoke = new Spoke({ apiKeyEnv: 'SPOKE_API_KEY', secretPrefix, region: 'us-west-2' });
    */
-  constructor(secretPrefix) {
-    this.secretPrefix = secretPrefix;
+  constructor(options) {
+    this.secretPrefix = typeof options === 'string' ? options : (options || {}).secretPrefix;
+    this._credentials = credentials.fromOptions(options);
+    this._retry = retry.retryPolicy((options || {}).retry);
+    this.baseUrl = (options || {}).baseUrl || DEFAULT_BASE_URL;
+    this._timeout = (options || {}).timeout;
+    this.defaultTeam = (options || {}).team;
+    this._hooks = hooks.hookList((options || {}).hooks);
+    this.fixtures = fixtures.fixtureStore((options || {}).fixtures);
+    this._validation = validation.validationOptions((options || {}).validation);
+    this._resolver = new resolvers.Resolver(this, { ttl: (options || {}).resolverTtl });
+    this.requests = new resources.RequestsClient(this);
+    this.teams = new resources.TeamsClient(this);
+    this.users = new resources.UsersClient(this);
+    this.tags = new resources.TagsClient(this);
+    this.requestTypes = new resources.RequestTypesClient(this);
+    this.tasks = new TasksClient(this);
+    this.bulk = new BulkClient(this);
+    this.delegation = new DelegationClient(this);
+    this.messages = new MessagesClient(this, { actor: (options || {}).actor, templates: (options || {}).templates });
+    this._tokenTtl = (options || {}).tokenTtl;
     this._cache = {
-      token: undefined
+      token: undefined,
+      expires: undefined,
+      pending: undefined
     };
-    this.searchParams = undefined;
-    this.bodyParams = undefined;
+    this._client = undefined;
   }
 
-  /** This function uses the AWS SDK to look up the secret value for the supplied secret prefix
-   * @param {string} secretPrefix - AWS Secrets Manager secret prefix
-   * @returns {Promise.string} token - SecretSting value returned by Secrets Manager
+  /** This function resolves the Spoke API key through the configured credential provider chain
+   * The key is cached for options.tokenTtl; concurrent callers share a single in-flight lookup.
+   * @returns {Promise.string} token - first API key found by the credential providers
+   * @throws {SpokeCredentialsError} when the lookup fails or no provider has a key
    */
   async token() {
-    if (this._cache.token) return this._cache.token;
-    const sm = new AWS.SecretsManager({ region: 'us-east-1' });
-    try {
-      const data = await sm.getSecretValue({
-        SecretId: `${this.secretPrefix}`
-      }).promise();
-      const token = data.SecretString;
-      this._cache.token = token;
-      return Promise.resolve(token);
+    const cache = this._cache;
+    if (cache.token && !(cache.expires <= Date.now())) return cache.token;
+    if (!cache.pending) {
+      cache.pending = this._lookupToken().finally(() => {
+        cache.pending = undefined;
+      });
     }
-    catch (error) {
-      return Promise.reject(error);
+    return cache.pending;
+  }
+
+  /** This function drops the cached API key so the next call looks it up again
+   * @param {string} [staleToken] - only invalidate if this is still the cached key, so concurrent 401s refresh once
+   */
+  invalidateToken(staleToken) {
+    if (staleToken === undefined || this._cache.token === staleToken) {
+      this._cache.token = undefined;
+      this._cache.expires = undefined;
     }
   }
 
-  /**
-   * @const {Object} searchParams - query params object passed as argument to the calling function (used only in GET operations)
-   * @const {Object} bodyParams - JSON body payload passed as argument to the calling function (used only in POST, PATCH operations)
+  async _lookupToken() {
+    let token;
+    try {
+      token = await this._credentials();
+    } catch (error) {
+      if (error instanceof errors.SpokeCredentialsError) throw error;
+      throw new errors.SpokeCredentialsError(`Spoke API key lookup failed: ${errors.redactQuoted(error.message)}`, { code: error.code });
+    }
+    if (!token) throw new errors.SpokeCredentialsError('No Spoke API key found by the configured credential providers');
+    this._cache.token = token;
+    this._cache.expires = this._tokenTtl > 0 ? Date.now() + this._tokenTtl : undefined;
+    return token;
+  }
+
+  /** This function returns the got() instance shared by every call made through this client
+   * The instance carries no per-call state, so overlapping calls cannot leak query or body params into each other.
    * @returns a custom got() instance
    */
-  async gotClient () {
-    const apiKey = await this.token();
-    const instance = got.extend({
-      prefixUrl: 'https://api.askspoke.com/api/v1/',
-      responseType: 'json',
-      headers: {
-        'Api-key': apiKey
-      },
-      searchParams: this.searchParams,
-      json: this.bodyParams
-    });
-    return instance;
+  gotClient() {
+    if (!this._client) {
+      this._client = got.extend(Object.assign({
+        prefixUrl: this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`,
+        responseType: 'json',
+        retry: 0 // retries are handled by request()
+      }, this._timeout ? { timeout: this._timeout } : {}));
+    }
+    return this._client;
+  }
+
+  /** This function registers a client-wide hook (see lib/hooks.js)
+   * @param {Object} hook - object with any of beforeRequest, afterResponse, onError, onRetry
+   * @example <caption>Example use usage</caption>
+   * spoke.use(Spoke.hooks.logger()).use({ afterResponse: ({ endpoint, duration }) => console.log(endpoint, duration) });
+   * @returns {Spoke} this client, for chaining
+   */
+  use(hook) {
+    this._hooks.push(hook);
+    return this;
+  }
+
+  /** This function is the single request pipeline used by every API method
+   * @param {Object} call - request description, owned by the calling method
+   * @param {string} call.method - HTTP method
+   * @param {string} call.endpoint - request path (appended to hostname URL)
+   * @param {Object} [call.searchParams] - query params object (used only in GET operations)
+   * @param {Object} [call.json] - JSON body payload (used only in POST, PATCH operations)
+   * @param {Object} [call.headers] - extra request headers (e.g. If-Match)
+   * @param {boolean} [call.retry] - true to retry a non-idempotent call, false to never retry this call
+   * @param {Object|Object[]} [call.hooks] - hooks for this call only, run after the client hooks
+   * @param {string} [call.correlationId] - correlation ID sent as X-Correlation-Id (generated when omitted)
+   * @returns {Promise.object} response - got response object
+   * @throws {SpokeError} a SpokeError subclass matching the failure (see lib/errors.js)
+   */
+  async request(call) {
+    const { method, endpoint, searchParams, json, retry: retryCall } = call;
+    const callHooks = this._hooks.concat(hooks.hookList(call.hooks));
+    const context = {
+      id: call.correlationId || hooks.correlationId(),
+      method,
+      endpoint,
+      searchParams,
+      json,
+      headers: Object.assign({}, call.headers)
+    };
+    const replayOnly = this.fixtures && this.fixtures.mode === 'replay';
+    let apiKey = replayOnly ? undefined : await this.token();
+    let refreshed = false;
+    for (let attempt = 1; ; attempt++) {
+      context.attempt = attempt;
+      await hooks.runHooks(callHooks, 'beforeRequest', context);
+      const started = Date.now();
+      let response;
+      try {
+        response = await this._send(call, Object.assign({ [hooks.CORRELATION_HEADER]: context.id }, context.headers, {
+          'Api-key': apiKey
+        }));
+      } catch (error) {
+        const spokeError = errors.fromGotError(error, call);
+        Object.assign(context, { duration: Date.now() - started, error: spokeError });
+        if (spokeError.status === 401 && !refreshed && !replayOnly) {
+          // The key may have been rotated: look it up once more and replay the call with the new one
+          refreshed = true;
+          this.invalidateToken(apiKey);
+          const freshKey = await this.token();
+          if (freshKey !== apiKey) {
+            apiKey = freshKey;
+            attempt--;
+            continue;
+          }
+        }
+        if (!retry.shouldRetry(error, { attempt, method, retry: retryCall }, this._retry)) {
+          await hooks.runHooks(callHooks, 'onError', context);
+          throw spokeError;
+        }
+        const delay = retry.retryDelay(error, attempt, this._retry);
+        context.delay = delay;
+        if (this._retry.onRetry) this._retry.onRetry({ attempt, delay, error: spokeError, method, endpoint });
+        await hooks.runHooks(callHooks, 'onRetry', context);
+        await retry.sleep(delay);
+        continue;
+      }
+      Object.assign(context, {
+        duration: Date.now() - started,
+        statusCode: response.statusCode,
+        responseHeaders: response.headers,
+        body: response.body,
+        error: undefined,
+        delay: undefined
+      });
+      await hooks.runHooks(callHooks, 'afterResponse', context);
+      return response;
+    }
+  }
+
+  /** This function sends one attempt of a call, through the fixture store when one is configured
+   * @param {Object} call - request description
+   * @param {Object} headers - request headers, including the Api-key
+   * @returns {Promise.object} response - got response (or a replayed { statusCode, headers, body })
+   */
+  async _send(call, headers) {
+    const { method, endpoint, searchParams, json } = call;
+    if (this.fixtures && await this.fixtures.replays(call)) return this.fixtures.replay(call);
+    let response;
+    try {
+      response = await this.gotClient()(endpoint, { method, searchParams, json, headers });
+    } catch (error) {
+      if (this.fixtures && error.response) await this.fixtures.record(call, error.response, headers['Api-key']);
+      throw error;
+    }
+    if (this.fixtures) await this.fixtures.record(call, response, headers['Api-key']);
+    return response;
   }
 
   /** This function makes a GET request to the Spoke /request_types endpoint
@@ -74,17 +259,7 @@ class Spoke {
    */
   async listRequestTypes(params) {
 
-    const endpoint = 'request_types';
-    this.searchParams = params;
-    this.bodyParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requestTypes.list(params, { raw: true });
   }
 
   /** This function makes a GET request to the Spoke /teams endpoint
@@ -96,17 +271,7 @@ class Spoke {
    */
   async listTeams(params) {
 
-    const endpoint = 'teams';
-    this.searchParams = params;
-    this.bodyParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.teams.list(params, { raw: true });
   }
 
   /** This function makes a GET request to the Spoke /users endpoint
@@ -118,17 +283,7 @@ class Spoke {
    */
   async listUsers(params) {
 
-    const endpoint = 'users';
-    this.searchParams = params;
-    this.bodyParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.users.list(params, { raw: true });
   }
 
   /** This function makes a GET request to the Spoke /requests endpoint
@@ -140,15 +295,7 @@ class Spoke {
    */
   async getRequest(requestId) {
 
-    const endpoint = `requests/${requestId}`;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requests.get(requestId, { raw: true });
   }
 
   /** This function makes a DELETE request to the Spoke /requests endpoint
@@ -160,15 +307,7 @@ class Spoke {
    */
   async deleteRequest(requestId) {
 
-    const endpoint = `requests/${requestId}`;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.delete(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requests.delete(requestId, { raw: true });
   }
 
   /** This function makes a GET request to the Spoke /requests endpoint
@@ -180,84 +319,112 @@ class Spoke {
    */
   async listRequests(params) {
 
-    const endpoint = 'requests';
-    this.searchParams = params;
-    this.bodyParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requests.list(params, { raw: true });
   }
 
   /** This function makes a POST request to the Spoke /requests endpoint
    * @param {Object} request - JSON request body schema
    * @param {string} request.subject - request subject (required)
-   * @param {string} request.requester - requester (required)
+   * @param {string|Object} request.requester - requester ID, email, or { email } / { displayName } reference (required)
    * @param {string} request.body - request body
-   * @param {string} request.team - request assigned team
+   * @param {string|Object} request.team - request assigned team ID or { name } reference
+   * @param {string|Object} request.requestType - request type ID or { title } reference
+   * @param {Object} [options]
+   * @param {boolean} [options.retry=false] - retry transient failures (may create a duplicate request)
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @param {string} [options.idempotencyKey] - return the request created earlier with this key instead of creating another
+   * @param {boolean|string[]|Function} [options.dedupe] - return an open request matching on these fields instead of
+   * creating another (true: requester, subject and requestType); see RequestsClient#createOnce
+   * @param {string} [options.onDuplicate=return] - 'note' posts options.note on the existing request
+   * With idempotencyKey or dedupe the response carries `outcome`: 'created', 'matched' or 'updated'.
    * @example <caption>Example postRequest usage</caption>
    * const response = await spoke.postRequest(request);
+   * const response = await spoke.postRequest({ subject, requester: 'someone@example.com', team: { name: 'Information Technology' } });
+   * const { outcome, body } = await spoke.postRequest(request, { idempotencyKey: alert.id, onDuplicate: 'note' });
    * @returns {Promise.object} response - JSON response object
    * see Spoke API "Create new request" docs
    */
-  async postRequest(request) {
+  async postRequest(request, options = {}) {
 
-    const endpoint = 'requests';
-    this.bodyParams = request;
-    this.searchParams = undefined;
-
-    try {
-      const client = await this.gotClient(endpoint);
-      const response = await client.post(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    if (options.idempotencyKey || options.dedupe) return this.requests.createOnce(request, Object.assign({}, options, { raw: true }));
+    return this.requests.create(request, { raw: true, retry: options.retry, hooks: options.hooks });
   }
 
   /** This function posts a message to an existing Spoke request
-   * @param {Object} params - JSON request body schema
+   * @param {Object|string} params - JSON request body schema, or the message text (posted as options.actor)
    * @param {object} params.actor - *required* describes the actor making the update
    * @param {String} params.actor.kind - type of actor (typically, 'User')
    * @param {String} params.actor.ref - unique Spoke ID for the actor
    * @param {Object} params.content.message - *required* message content object
    * @param {String} params.content.message.text - text of the message to post
    * @param {String} requestId - *required* Spoke request ID (must be the full ID not the ID# derived from the permalink URL)
+   * @param {Object} [options]
+   * @param {boolean} [options.retry=false] - retry transient failures (may post the message twice)
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @param {string|Object} [options.actor] - user ID, email or reference posting a text message (defaults to the client's actor)
+   * @param {boolean} [options.private=false] - post a text message as a private note
    * @example <caption>Example postMessage usage</caption>
    * const response = await spoke.postMessage(requestId, message);
+   * const response = await spoke.postMessage(requestId, 'On it', { actor: 'ada@example.com' });
    * @returns {Promise.object} response - JSON response object
    * see Spoke API [Post a message](https://askspoke.com/api/reference#operation/postRequestMessage) docs
    */
-  async postMessage(requestId, params) {
+  async postMessage(requestId, params, options = {}) {
+
+    return this.requests.message(requestId, params, {
+      raw: true,
+      retry: options.retry,
+      hooks: options.hooks,
+      actor: options.actor,
+      private: options.private
+    });
+  }
 
-    const endpoint = `requests/${requestId}/messages`;
-    this.bodyParams = params;
-    this.searchParams = undefined;
+  /** This function makes a GET request to the Spoke /requests/{requestId}/messages endpoint
+   * @param {string} requestId - Spoke request ID
+   * @param {Object} [params] - JSON query parameter object (limit, start)
+   * @example <caption>Example listMessages usage</caption>
+   * const response = await spoke.listMessages(requestId, { limit: 50 });
+   * @returns {Promise.object} - JSON response object
+   */
+  async listMessages(requestId, params) {
 
-    try {
-      const client = await this.gotClient();
-      const response = await client.post(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.messages.list(requestId, params, { raw: true });
+  }
+
+  /** This function posts a public reply on a request
+   * @param {string} requestId - Spoke request ID
+   * @param {string|Object} message - text, or { template, data } to render a message template
+   * @param {Object} [options] - { actor, retry, hooks }; actor defaults to the client's actor
+   * @example <caption>Example reply usage</caption>
+   * await spoke.reply(requestId, { template: 'shipped', data: { tracking } }, { actor: 'it-bot@example.com' });
+   * @returns {Promise.object} - the message
+   */
+  async reply(requestId, message, options) {
+    return this.messages.reply(requestId, message, options);
+  }
+
+  /** This function posts a private note on a request, visible to agents only
+   * @param {string} requestId - Spoke request ID
+   * @param {string|Object} message - text, or { template, data } to render a message template
+   * @param {Object} [options] - { actor, retry, hooks }; actor defaults to the client's actor
+   * @returns {Promise.object} - the message
+   */
+  async addNote(requestId, message, options) {
+    return this.messages.note(requestId, message, options);
   }
 
   /** This function makes a PATCH request to the Spoke /requests/{requestId} endpoint
    * @param {string} requestId - *required* Spoke request ID (must be the full ID not the ID# derived from the permalink URL)
    * @param {Object} params - JSON request body schema
    * @param {string} params.subject - request subject
-   * @param {string} params.requester - requester
-   * @param {string} params.owner - owner
+   * @param {string|Object} params.requester - requester ID, email, or { email } / { displayName } reference
+   * @param {string|Object} params.owner - owner ID, email, or { email } / { displayName } reference
    * @param {string} params.status - status
-   * @param {string} params.requestType - request type ID
+   * @param {string|Object} params.requestType - request type ID or { title } reference
    * @param {Object} params.requestTypeInfo - requestTypeInfo object
    * @param {Array} params.requestTypeInfo.answeredFields - array of request field objects
-   * @param {string} params.requestTypeInfo.answeredFields.fieldID - field ID
+   * @param {string} params.requestTypeInfo.answeredFields.fieldId - field ID
    * @param {string} params.requestTypeInfo.answeredFields.value - field value (content to be entered in field)
    * @param {Array} params.taskInstances - array of request task objects
    * @param {string} params.taskInstances.uuid - task ID
@@ -265,7 +432,7 @@ class Spoke {
    * @param {string} params.taskInstances.status - task status
    * @param {string} params.taskInstances.dueDate - task due date
    * @param {string} params.privacyLevel - request privacy setting
-   * @param {string} params.team - request assigned team
+   * @param {string|Object} params.team - request assigned team ID or { name } reference
    * @example <caption>Example updateRequest usage</caption>
    * const response = await spoke.updateRequest(requestID, params);
    * @returns {Promise.object} response - JSON response object
@@ -273,43 +440,24 @@ class Spoke {
    */
   async updateRequest(requestId, params) {
 
-    const endpoint = `requests/${requestId}`;
-    this.bodyParams = params;
-    this.searchParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.patch(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requests.update(requestId, params, { raw: true });
   }
 
   /** This function makes a PATCH request to the Spoke /teams/{teamId} endpoint
-   * @param {string} teamId - team ID (required)
+   * @param {string|Object} teamId - team ID or { name } reference (required)
    * @param {Object} params - JSON request body schema
    * @param {string} params.settings.delegation.strategy - Team delegation strategies
-   * @param {Array} params.settings.delegation.excludedUsers - user ids of excluded users, valid only for ROUND_ROBIN strategy
-   * @param {string} params.settings.delegation.specifiedUser - user id, valid only for SPECIFIC_USER strategy
+   * @param {Array} params.settings.delegation.excludedUsers - user ids (or emails / references) of excluded users, valid only for ROUND_ROBIN strategy
+   * @param {string|Object} params.settings.delegation.specifiedUser - user id (or email / reference), valid only for SPECIFIC_USER strategy
    * @example <caption>Example updateTeam usage</caption>
    * const response = await spoke.updateTeam(teamID, params);
+   * const response = await spoke.updateTeam({ name: 'Information Technology' }, params);
    * @returns {Promise.object} response - JSON response object
    * see Spoke API "Update a team" docs
    */
   async updateTeam(teamId, params) {
 
-    const endpoint = `teams/${teamId}`;
-    this.bodyParams = params;
-    this.searchParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.patch(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.teams.update(teamId, params, { raw: true });
   }
 
   /** This function makes a GET request to the Spoke /tags endpoint
@@ -321,38 +469,19 @@ class Spoke {
    */
   async listTags(params) {
 
-    const endpoint = 'tags';
-    this.searchParams = params;
-    this.bodyParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.get(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.tags.list(params, { raw: true });
   }
 
   /**
    * Makes a PATCH request to the Spoke /requests/{requestId}/tags endpoint
    * @param {string} requestId - the request ID
    * @param {Object} params - JSON query parameter object
+   * @param {Array} params.tags - tags to add, as { _id } or { name } objects
    * @returns {Promise.object} - JSON response object
    */
   async addTags(requestId, params) {
 
-    const endpoint = `requests/${requestId}/tags`;
-    this.bodyParams = params;
-    this.searchParams = undefined;
-
-    try {
-      const client = await this.gotClient();
-      const response = await client.patch(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+    return this.requests.addTags(requestId, (params || {}).tags, { raw: true });
   }
 
   /**
@@ -363,17 +492,269 @@ class Spoke {
    */
   async removeTags(requestId, tagId) {
 
-    const endpoint = `requests/${requestId}/tags/${tagId}`;
-    this.bodyParams = undefined;
-    this.searchParams = undefined;
+    return this.requests.removeTag(requestId, tagId, { raw: true });
+  }
 
-    try {
-      const client = await this.gotClient();
-      const response = await client.delete(endpoint);
-      return Promise.resolve(response);
-    } catch (error) {
-      return Promise.reject(error);
-    }
+  /** This function makes a request's tags exactly the given set of tag names, adding and removing only what differs
+   * @param {string} requestId - the request ID
+   * @param {Array} tags - tag names, or { _id } / { name } objects
+   * @param {Object} [options] - { create }: create tags that do not exist yet
+   * @example <caption>Example setTags usage</caption>
+   * const { tags } = await spoke.setTags(requestId, ['laptop', 'urgent']);
+   * @returns {Promise.object} - { tags, added, removed } Tag models
+   */
+  async setTags(requestId, tags, options) {
+    return this.requests.setTags(requestId, tags, options);
+  }
+
+  /** This function lists the task instances of a request
+   * @param {string} requestId - Spoke request ID
+   * @example <caption>Example listTasks usage</caption>
+   * const tasks = await spoke.listTasks(requestId);
+   * @returns {Promise.Array} - task instance objects
+   */
+  async listTasks(requestId) {
+    return this.tasks.list(requestId);
+  }
+
+  /** This function changes one task instance with a safe read-modify-write of the request's taskInstances
+   * @param {string} requestId - Spoke request ID
+   * @param {string} taskId - task uuid
+   * @param {Object} changes - task fields to change (owner, status, dueDate)
+   * @example <caption>Example updateTask usage</caption>
+   * const task = await spoke.updateTask(requestId, taskId, { dueDate: '2021-07-01' });
+   * @returns {Promise.object} - the updated task
+   * @throws {SpokeConflictError} when concurrent edits kept winning the race
+   */
+  async updateTask(requestId, taskId, changes) {
+    return this.tasks.update(requestId, taskId, changes);
+  }
+
+  /** This function marks a task instance as completed
+   * @param {string} requestId - Spoke request ID
+   * @param {string} taskId - task uuid
+   * @returns {Promise.object} - the updated task
+   */
+  async completeTask(requestId, taskId) {
+    return this.tasks.complete(requestId, taskId);
+  }
+
+  /** This function gives a task instance to another user
+   * @param {string} requestId - Spoke request ID
+   * @param {string} taskId - task uuid
+   * @param {string} userEmail - new owner's email (or user ID)
+   * @returns {Promise.object} - the updated task
+   */
+  async reassignTask(requestId, taskId, userEmail) {
+    return this.tasks.reassign(requestId, taskId, userEmail);
+  }
+
+  /** This function finds incomplete tasks past their due date
+   * @param {string[]|Object} requests - request IDs, or a listRequests query selecting the requests
+   * @param {Object} [options] - { now }
+   * @example <caption>Example overdueTasks usage</caption>
+   * const overdue = await spoke.overdueTasks({ requestType: onboardingTypeId, status: 'OPEN' });
+   * @returns {Promise.Array} - { requestId, subject, task } objects, most overdue first
+   */
+  async overdueTasks(requests, options) {
+    return this.tasks.overdue(requests, options);
+  }
+
+  /** This function reads a team's delegation settings
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @example <caption>Example getDelegation usage</caption>
+   * const delegation = await spoke.getDelegation('Information Technology');
+   * @returns {Promise.object} - { strategy, specifiedUser, excludedUsers }
+   */
+  async getDelegation(team) {
+    return this.delegation.get(team);
+  }
+
+  /** This function switches a team to round robin delegation
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {Object} [options] - { exclude }: users left out of the rotation (current exclusions kept when omitted)
+   * @example <caption>Example setRoundRobin usage</caption>
+   * await spoke.setRoundRobin('Information Technology', { exclude: ['someone@example.com'] });
+   * @returns {Promise.object} - the new delegation
+   */
+  async setRoundRobin(team, options) {
+    return this.delegation.setRoundRobin(team, options);
+  }
+
+  /** This function delegates all of a team's new requests to one user
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} - the new delegation
+   */
+  async setSpecificUser(team, user) {
+    return this.delegation.setSpecificUser(team, user);
+  }
+
+  /** This function leaves a user out of a round robin team's rotation (safe read-modify-write)
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} - the new delegation
+   */
+  async excludeUser(team, user) {
+    return this.delegation.excludeUser(team, user);
+  }
+
+  /** This function puts a user back into a round robin team's rotation (safe read-modify-write)
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} - the new delegation
+   */
+  async includeUser(team, user) {
+    return this.delegation.includeUser(team, user);
+  }
+
+  /** This function finds the team whose name matches exactly (case-insensitive)
+   * @param {string} name - team name
+   * @example <caption>Example resolveTeam usage</caption>
+   * const team = await spoke.resolveTeam('Information Technology');
+   * @returns {Promise.object} team
+   * @throws {SpokeResolveError} when zero or several teams match
+   */
+  async resolveTeam(name) {
+    return this._resolver.resolve('teams', name);
+  }
+
+  /** This function finds the user whose email or display name matches exactly (case-insensitive)
+   * @param {string} emailOrName - user email or display name
+   * @returns {Promise.object} user
+   * @throws {SpokeResolveError} when zero or several users match
+   */
+  async resolveUser(emailOrName) {
+    return this._resolver.resolve('users', emailOrName);
+  }
+
+  /** This function finds the tag whose name matches exactly (case-insensitive)
+   * @param {string} name - tag name
+   * @returns {Promise.object} tag
+   * @throws {SpokeResolveError} when zero or several tags match
+   */
+  async resolveTag(name) {
+    return this._resolver.resolve('tags', name);
+  }
+
+  /** This function finds the request type whose title matches exactly (case-insensitive)
+   * @param {string} name - request type title
+   * @returns {Promise.object} request type
+   * @throws {SpokeResolveError} when zero or several request types match
+   */
+  async resolveRequestType(name) {
+    return this._resolver.resolve('requestTypes', name);
+  }
+
+  /** This function drops every cached name lookup */
+  clearResolverCache() {
+    this._resolver.clear();
+  }
+
+  /** This function iterates over every request matching the query, following Spoke's limit/start paging
+   * @param {Object} params - JSON query parameter object, as accepted by listRequests
+   * @example <caption>Example iterateRequests usage</caption>
+   * for await (const request of spoke.iterateRequests({ status: 'OPEN' })) console.log(request.subject);
+   * @returns {AsyncIterator.object} - request objects
+   */
+  iterateRequests(params) {
+    return paginate((query) => this.listRequests(query), params);
+  }
+
+  /** This function iterates over every user matching the query, following Spoke's limit/start paging
+   * @param {Object} params - JSON query parameter object, as accepted by listUsers
+   * @returns {AsyncIterator.object} - user objects
+   */
+  iterateUsers(params) {
+    return paginate((query) => this.listUsers(query), params);
+  }
+
+  /** This function iterates over every team matching the query, following Spoke's limit/start paging
+   * @param {Object} params - JSON query parameter object, as accepted by listTeams
+   * @returns {AsyncIterator.object} - team objects
+   */
+  iterateTeams(params) {
+    return paginate((query) => this.listTeams(query), params);
+  }
+
+  /** This function iterates over every tag matching the query, following Spoke's limit/start paging
+   * @param {Object} params - JSON query parameter object, as accepted by listTags
+   * @returns {AsyncIterator.object} - tag objects
+   */
+  iterateTags(params) {
+    return paginate((query) => this.listTags(query), params);
+  }
+
+  /** This function iterates over every request type matching the query, following Spoke's limit/start paging
+   * @param {Object} params - JSON query parameter object, as accepted by listRequestTypes
+   * @returns {AsyncIterator.object} - request type objects
+   */
+  iterateRequestTypes(params) {
+    return paginate((query) => this.listRequestTypes(query), params);
+  }
+
+  /** This function iterates over every message of a request, following Spoke's limit/start paging
+   * @param {string} requestId - Spoke request ID
+   * @param {Object} [params] - JSON query parameter object, as accepted by listMessages
+   * @returns {AsyncIterator.object} - message objects
+   */
+  iterateMessages(requestId, params) {
+    return this.messages.iterate(requestId, params);
+  }
+
+  /** This function collects every page of a list endpoint into a single array
+   * @param {string} resource - one of 'requests', 'users', 'teams', 'tags', 'requestTypes'
+   * @param {Object} params - JSON query parameter object, as accepted by the matching list method
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=Infinity] - stop paging once this many items are collected
+   * @example <caption>Example listAll usage</caption>
+   * const requests = await spoke.listAll('requests', { status: 'OPEN' }, { maxItems: 1000 });
+   * @returns {Promise.Array} - result objects
+   */
+  async listAll(resource, params, options) {
+    const method = LIST_METHODS[resource];
+    if (!method) throw new Error(`Unknown Spoke list resource: ${resource}`);
+    return collect(paginate((query) => this[method](query), params), options);
+  }
+
+  /** This function streams every request matching the query as NDJSON or CSV, one page at a time
+   * @param {Object} [params] - JSON query parameter object, as accepted by listRequests; team and tags may be names
+   * @param {Object} [options]
+   * @param {string} [options.format=ndjson] - 'ndjson' or 'csv'
+   * @param {Array} [options.columns] - column paths such as 'owner.displayName', or { header, value } objects
+   * @param {Date|string} [options.since] - only requests created at or after this time
+   * @param {Date|string} [options.until] - only requests created before this time
+   * @param {boolean} [options.includeMessages=false] - include each request's message thread
+   * @example <caption>Example exportRequests usage</caption>
+   * spoke.exportRequests({ team: { name: 'IT' } }, { format: 'csv', since: '2020-06-01' }).pipe(fs.createWriteStream('it.csv'));
+   * @returns {Readable} - text stream
+   */
+  exportRequests(params, options) {
+    return exportRequests(this, params, options);
+  }
+
+  /** This function creates a watcher that polls for new and updated requests (see lib/watcher.js)
+   * @param {Object} [params] - JSON query parameter object, as accepted by listRequests
+   * @param {Object} [options] - { interval, checkpoint, fields, initial, rescanInterval }; see RequestWatcher for the events
+   * @example <caption>Example watchRequests usage</caption>
+   * const watcher = spoke.watchRequests({ team: teamId }, { interval: 30000, checkpoint: './requests.checkpoint.json' });
+   * watcher.on('statusChanged', ({ request, before, after }) => console.log(request.id, before, '->', after)).start();
+   * @returns {RequestWatcher}
+   */
+  watchRequests(params, options) {
+    return new RequestWatcher(this, params, options);
+  }
+
+  /** This function computes service-level metrics per team, request type and owner (see lib/reports.js)
+   * @param {Object} [params] - JSON query parameter object, as accepted by listRequests; team may be a list of IDs or names
+   * @param {Object} [options] - { since, until, includeMessages, sla, buckets, now }
+   * @example <caption>Example serviceReport usage</caption>
+   * const report = await spoke.serviceReport({ team: ['Information Technology', 'People Ops'] }, { since: '2021-01-01', includeMessages: true, sla: { resolution: 3 * 24 * 3600000 } });
+   * fs.writeFileSync('teams.csv', Spoke.reports.reportCsv(report, 'byTeam'));
+   * @returns {Promise.object} - { since, until, generatedAt, totals, byTeam, byRequestType, byOwner, breaches }
+   */
+  async serviceReport(params, options) {
+    return serviceReport(this, params, options);
   }
 }
 
@@ -0,0 +1,193 @@
+'use strict';
+
+const { checkpointStore } = require('./checkpoint');
+
+/** Bulk operations over many requests with a concurrency limit, progress callbacks,
+ * per-item reports and resumable checkpoints.
+ * @module bulk
+ */
+
+const DEFAULT_CONCURRENCY = 5;
+
+/** This function serializes an item failure for the report without leaking request headers */
+function describeError(error) {
+  if (typeof error.toJSON === 'function') return error.toJSON();
+  return { name: error.name, message: error.message, code: error.code };
+}
+
+/** spoke.bulk */
+class BulkClient {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   */
+  constructor(spoke) {
+    this.spoke = spoke;
+  }
+
+  /** This function runs an operation for every ID and reports each outcome instead of rejecting on the first failure
+   * @param {string[]} ids - request IDs
+   * @param {Function} operation - async (id) => result
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5] - operations in flight at once
+   * @param {Function} [options.onProgress] - called after each item with { id, ok, error, done, total, succeeded, failed }
+   * @param {string|Object} [options.checkpoint] - file path or { load, save } store; IDs that already
+   * succeeded in an earlier run are skipped, failed IDs are tried again
+   * A failed checkpoint save or a throwing onProgress does not stop the run: each is listed in the
+   * report's `warnings` as { id, stage: 'checkpoint' or 'progress', error }. Every save writes the full
+   * set of completed IDs, so a later save that succeeds makes up for an earlier one that failed.
+   * @returns {Promise.object} report - { total, succeeded, failed, skipped, results, warnings }
+   */
+  async run(ids, operation, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    const store = checkpointStore(options.checkpoint);
+    const saved = store ? await store.load() : undefined;
+    const completed = new Set((saved && saved.completed) || []);
+
+    const report = { total: ids.length, succeeded: [], failed: [], skipped: [], results: [], warnings: [] };
+    const warn = (id, stage, error) => report.warnings.push({ id, stage, error: describeError(error) });
+    const queue = [];
+    for (const id of ids) {
+      if (completed.has(id)) report.skipped.push(id);
+      else queue.push(id);
+    }
+
+    let saving = Promise.resolve();
+    const record = async (id, outcome) => {
+      report.results.push(Object.assign({ id }, outcome));
+      if (outcome.ok) {
+        report.succeeded.push(id);
+        completed.add(id);
+        if (store) {
+          const state = { completed: Array.from(completed) };
+          // saves stay in order, and one that fails is reported without failing the ones after it
+          saving = saving.then(() => store.save(state)).catch((error) => warn(id, 'checkpoint', error));
+          await saving;
+        }
+      } else {
+        report.failed.push({ id, error: outcome.error });
+      }
+      if (options.onProgress) {
+        try {
+          await options.onProgress({
+            id,
+            ok: outcome.ok,
+            error: outcome.error,
+            done: report.succeeded.length + report.failed.length + report.skipped.length,
+            total: report.total,
+            succeeded: report.succeeded.length,
+            failed: report.failed.length
+          });
+        } catch (error) {
+          warn(id, 'progress', error);
+        }
+      }
+    };
+
+    const worker = async () => {
+      while (queue.length) {
+        const id = queue.shift();
+        let outcome;
+        try {
+          outcome = { ok: true, result: await operation(id) };
+        } catch (error) {
+          outcome = { ok: false, error: describeError(error) };
+        }
+        await record(id, outcome);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    return report;
+  }
+
+  /** This function applies the same changes to many requests
+   * @param {string[]} ids - request IDs
+   * @param {Object|Function} changes - updateRequest payload, or (id) => payload
+   * @param {Object} [options] - see run()
+   * @example <caption>Example bulk.updateRequests usage</caption>
+   * const report = await spoke.bulk.updateRequests(ids, { status: 'RESOLVED' }, { concurrency: 10, checkpoint: './close.json' });
+   * @returns {Promise.object} report
+   */
+  async updateRequests(ids, changes, options) {
+    return this.run(ids, async (id) => {
+      const payload = typeof changes === 'function' ? await changes(id) : changes;
+      return (await this.spoke.requests.update(id, payload)).toJSON();
+    }, options);
+  }
+
+  /** This function adds the same tags to many requests
+   * @param {string[]} ids - request IDs
+   * @param {Array} tags - tag IDs, or { _id } / { name } objects
+   * @param {Object} [options] - see run()
+   * @returns {Promise.object} report
+   */
+  async addTags(ids, tags, options) {
+    const refs = await this._tagIds(tags);
+    return this.run(ids, async (id) => {
+      return (await this.spoke.requests.addTags(id, refs.map((_id) => ({ _id })))).tags;
+    }, options);
+  }
+
+  /** This function removes the same tags from many requests
+   * @param {string[]} ids - request IDs
+   * @param {Array} tags - tag IDs, or { _id } / { name } objects
+   * @param {Object} [options] - see run()
+   * @returns {Promise.object} report
+   */
+  async removeTags(ids, tags, options) {
+    const refs = await this._tagIds(tags);
+    return this.run(ids, async (id) => {
+      let request;
+      for (const tagId of refs) request = await this.spoke.requests.removeTag(id, tagId);
+      return request ? request.tags : undefined;
+    }, options);
+  }
+
+  /** This function moves every request carrying one tag over to another
+   * Each request gets the target tag added and the source tag removed. The source tag itself is left
+   * in place, unused. A resumed run lists the requests again, so only those still tagged are visited.
+   * @param {string|Object} from - tag name, or { _id } / { name } object
+   * @param {string|Object} to - tag name, or { _id } / { name } object
+   * @param {Object} [options] - see run(), plus { create }: create the target tag if it does not exist
+   * @example <caption>Example bulk.mergeTag usage</caption>
+   * const report = await spoke.bulk.mergeTag('lap top', 'laptop', { checkpoint: './merge.json' });
+   * @returns {Promise.object} report, with the `from` and `to` Tag models
+   */
+  async mergeTag(from, to, options = {}) {
+    const [source] = await this.spoke.tags.lookup([from]);
+    const [target] = await this.spoke.tags.lookup([to], { create: options.create });
+    const ids = [];
+    if (source.id !== target.id) {
+      for await (const request of this.spoke.iterateRequests({ tags: source.id })) ids.push(request.id);
+    }
+    const report = await this.run(ids, async (id) => {
+      await this.spoke.requests.addTags(id, [{ _id: target.id }]);
+      return (await this.spoke.requests.removeTag(id, source.id)).tags;
+    }, options);
+    return Object.assign(report, { from: source, to: target });
+  }
+
+  /** This function renames a tag across all requests by merging it into a tag with the new name
+   * Spoke has no endpoint to rename a tag, so the new tag is created (or an existing one with that
+   * name reused) and the old tag is left in place, unused.
+   * @param {string|Object} from - tag name, or { _id } / { name } object
+   * @param {string} name - new tag name
+   * @param {Object} [options] - see run()
+   * @returns {Promise.object} report, with the `from` and `to` Tag models
+   */
+  async renameTag(from, name, options = {}) {
+    return this.mergeTag(from, name, Object.assign({}, options, { create: true }));
+  }
+
+  async _tagIds(tags) {
+    const ids = [];
+    for (const tag of [].concat(tags)) ids.push(await this.spoke._resolver.id('tags', tag));
+    return ids;
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  BulkClient
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('fs');
+
+/** Checkpoint stores used to resume long-running operations.
+ * A store holds one JSON-serializable state object behind async load() and save(state).
+ * @module checkpoint
+ */
+
+/** This class keeps the checkpoint in memory (lost when the process exits) */
+class MemoryCheckpointStore {
+
+  /**
+   * @constructor
+   * @param {Object} [state] - initial state
+   */
+  constructor(state) {
+    this.state = state;
+  }
+
+  async load() {
+    return this.state === undefined ? undefined : JSON.parse(JSON.stringify(this.state));
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+
+  async clear() {
+    this.state = undefined;
+  }
+}
+
+/** This class keeps the checkpoint in a JSON file, replaced atomically on each save */
+class FileCheckpointStore {
+
+  /**
+   * @constructor
+   * @param {string} path - checkpoint file path
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async save(state) {
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(state));
+    await fs.promises.rename(tmp, this.path);
+  }
+
+  async clear() {
+    try {
+      await fs.promises.unlink(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/** This function turns a checkpoint option into a store
+ * @param {string|Object} [checkpoint] - file path, or an object with load() and save()
+ * @returns {Object|undefined} store
+ */
+function checkpointStore(checkpoint) {
+  if (!checkpoint) return undefined;
+  if (typeof checkpoint === 'string') return new FileCheckpointStore(checkpoint);
+  return checkpoint;
+}
+
+module.exports = {
+  MemoryCheckpointStore,
+  FileCheckpointStore,
+  checkpointStore
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+const fs = require('fs');
+const Spoke = require('./askspoke');
+
+/** Implementation of the `spoke` command-line tool (bin/spoke).
+ * @module cli
+ */
+
+const USAGE = `Usage: spoke <resource> <command> [arguments] [options]
+
+Commands:
+  requests get <requestId>
+  requests list [--<query param> <value> ...] [--all]
+  requests create [--file <path> | --data <json>]       (body read from stdin by default)
+  requests update <requestId> [--file <path> | --data <json>]
+  requests delete <requestId>
+  requests message <requestId> [--text <text> --actor <userId|email> [--private]] [--file <path> | --data <json>]
+  requests messages <requestId> [--limit <n> --start <n>] [--all]
+  teams list [--<query param> <value> ...] [--all]
+  teams update <teamId> [--file <path> | --data <json>]
+  users list [--<query param> <value> ...] [--all]
+  tags list [--<query param> <value> ...] [--all]
+  tags add <requestId> <tagId> [<tagId> ...]
+  tags remove <requestId> <tagId>
+  request-types list [--<query param> <value> ...] [--all]
+
+Options:
+  --output json|table|ndjson   output format (default json)
+  --dry-run                    print the changes instead of sending them (lookups still run)
+  --api-key <key>              Spoke API key
+  --api-key-env <name>         environment variable holding the API key
+  --api-key-file <path>        file holding the API key
+  --secret-prefix <id>         AWS Secrets Manager secret holding the API key
+  --region <region>            AWS region of the secret
+  --secret-key <key>           JSON key to extract from the secret
+  --base-url <url>             Spoke API base URL
+  --help                       show this message
+`;
+
+const CLIENT_FLAGS = {
+  'api-key': 'apiKey',
+  'api-key-env': 'apiKeyEnv',
+  'api-key-file': 'apiKeyFile',
+  'secret-prefix': 'secretPrefix',
+  'region': 'region',
+  'secret-key': 'secretKey',
+  'base-url': 'baseUrl'
+};
+
+const BOOLEAN_FLAGS = ['dry-run', 'all', 'help', 'private'];
+
+// calls --dry-run prints instead of sending
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// CLI resource name => [listAll resource, list method]
+const LIST_RESOURCES = {
+  'requests': ['requests', 'listRequests'],
+  'teams': ['teams', 'listTeams'],
+  'users': ['users', 'listUsers'],
+  'tags': ['tags', 'listTags'],
+  'request-types': ['requestTypes', 'listRequestTypes']
+};
+
+/** This function splits argv into positional arguments and --flag values
+ * `--flag value`, `--flag=value` and boolean flags are supported.
+ * @param {string[]} argv
+ * @returns {Object} { positional, flags }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (eq !== -1) flags[name] = arg.slice(eq + 1);
+    else if (BOOLEAN_FLAGS.includes(name)) flags[name] = true;
+    else flags[name] = argv[++i];
+  }
+  return { positional, flags };
+}
+
+/** This function renders rows as an aligned text table of their scalar fields
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function table(rows) {
+  if (!rows.length) return '';
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      const value = row[key];
+      if ((value === null || typeof value !== 'object') && !columns.includes(key)) columns.push(key);
+    }
+  }
+  const cell = (value) => (value === undefined || value === null ? '' : String(value));
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => cell(row[column]).length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), ...rows.map((row) => line(columns.map((column) => cell(row[column]))))].join('\n') + '\n';
+}
+
+/** This function formats a command result for output
+ * @param {*} result - response body or array of results
+ * @param {string} [output=json] - json, table or ndjson
+ * @returns {string}
+ */
+function format(result, output = 'json') {
+  const rows = Array.isArray(result) ? result : (result && Array.isArray(result.results) ? result.results : [result]);
+  if (output === 'ndjson') return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+  if (output === 'table') return table(rows);
+  if (output === 'json') return JSON.stringify(result, null, 2) + '\n';
+  throw new Error(`Unknown output format: ${output}`);
+}
+
+/** This function reads a JSON request body from --data, --file or stdin */
+async function readBody(flags, stdin) {
+  if (flags.data !== undefined) return JSON.parse(flags.data);
+  if (flags.file !== undefined && flags.file !== '-') return JSON.parse(await fs.promises.readFile(flags.file, 'utf8'));
+  const chunks = [];
+  for await (const chunk of stdin) chunks.push(Buffer.from(chunk));
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) throw new Error('Expected a JSON body from --data, --file or stdin');
+  return JSON.parse(text);
+}
+
+/** This function builds the query object for list commands from the non-CLI flags */
+function queryFrom(flags) {
+  const reserved = Object.keys(CLIENT_FLAGS).concat(BOOLEAN_FLAGS, ['output', 'file', 'data']);
+  const query = {};
+  for (const name of Object.keys(flags)) {
+    if (!reserved.includes(name)) query[name] = flags[name];
+  }
+  return query;
+}
+
+/** This function builds client options from the credential flags, falling back to the client defaults */
+function clientOptions(flags) {
+  const options = {};
+  for (const flag of Object.keys(CLIENT_FLAGS)) {
+    if (flags[flag] !== undefined) options[CLIENT_FLAGS[flag]] = flags[flag];
+  }
+  return options;
+}
+
+function required(value, name) {
+  if (value === undefined) throw new Error(`Missing <${name}> argument`);
+  return value;
+}
+
+/** This function runs one CLI command against a client
+ * @param {Spoke} spoke
+ * @param {string[]} positional - [resource, command, ...arguments]
+ * @param {Object} flags
+ * @param {Object} io - { stdin }
+ * @returns {Promise.*} result to print
+ */
+async function run(spoke, [resource, command, ...args], flags, io) {
+  if (command === 'list' && LIST_RESOURCES[resource]) {
+    const [name, method] = LIST_RESOURCES[resource];
+    const query = queryFrom(flags);
+    if (flags.all) return spoke.listAll(name, query);
+    return (await spoke[method](query)).body;
+  }
+
+  switch (`${resource} ${command}`) {
+  case 'requests get':
+    return (await spoke.getRequest(required(args[0], 'requestId'))).body;
+  case 'requests create':
+    return (await spoke.postRequest(await readBody(flags, io.stdin))).body;
+  case 'requests update':
+    return (await spoke.updateRequest(required(args[0], 'requestId'), await readBody(flags, io.stdin))).body;
+  case 'requests delete':
+    return (await spoke.deleteRequest(required(args[0], 'requestId'))).body;
+  case 'requests message': {
+    const requestId = required(args[0], 'requestId');
+    if (flags.text !== undefined) {
+      return (await spoke.postMessage(requestId, flags.text, { actor: required(flags.actor, 'actor'), private: flags.private })).body;
+    }
+    return (await spoke.postMessage(requestId, await readBody(flags, io.stdin))).body;
+  }
+  case 'requests messages': {
+    const requestId = required(args[0], 'requestId');
+    if (flags.all) return spoke.messages.listAll(requestId, queryFrom(flags));
+    return (await spoke.listMessages(requestId, queryFrom(flags))).body;
+  }
+  case 'teams update':
+    return (await spoke.updateTeam(required(args[0], 'teamId'), await readBody(flags, io.stdin))).body;
+  case 'tags add': {
+    const requestId = required(args[0], 'requestId');
+    const tags = args.slice(1).map((_id) => ({ _id }));
+    required(tags[0], 'tagId');
+    return (await spoke.addTags(requestId, { tags })).body;
+  }
+  case 'tags remove':
+    return (await spoke.removeTags(required(args[0], 'requestId'), required(args[1], 'tagId'))).body;
+  default:
+    throw new Error(`Unknown command: ${[resource, command].filter(Boolean).join(' ')}\n\n${USAGE}`);
+  }
+}
+
+/** This function replaces the client's request pipeline with one that records mutating HTTP calls instead of sending them
+ * Reads still go through, so references such as an email requester or actor resolve to real IDs in the printed calls.
+ * @param {Spoke} spoke
+ * @returns {Object[]} calls - filled in as commands run
+ */
+function dryRun(spoke) {
+  const calls = [];
+  const send = spoke.request.bind(spoke);
+  spoke.request = async (call) => {
+    const { method, endpoint, searchParams, json } = call;
+    if (!MUTATING_METHODS.has(method)) return send(call);
+    const url = new URL(endpoint, spoke.baseUrl.endsWith('/') ? spoke.baseUrl : `${spoke.baseUrl}/`);
+    for (const key of Object.keys(searchParams || {})) url.searchParams.set(key, searchParams[key]);
+    const printed = { method, url: url.toString(), headers: { 'Api-key': '[REDACTED]' } };
+    if (json !== undefined) printed.body = json;
+    calls.push(printed);
+    return { statusCode: 0, body: { results: [] } };
+  };
+  return calls;
+}
+
+/** This function is the CLI entry point
+ * @param {string[]} argv - arguments after the executable name
+ * @param {Object} [io] - { stdin, stdout, stderr } streams, defaulting to the process streams
+ * @returns {Promise.number} exit code
+ */
+async function main(argv, io = {}) {
+  const stdin = io.stdin || process.stdin;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const { positional, flags } = parseArgs(argv);
+
+  if (flags.help || !positional.length) {
+    stdout.write(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  try {
+    const spoke = new Spoke(clientOptions(flags));
+    if (flags['dry-run']) {
+      const calls = dryRun(spoke);
+      await run(spoke, positional, flags, { stdin });
+      stdout.write(format(calls, flags.output));
+      return 0;
+    }
+    const result = await run(spoke, positional, flags, { stdin });
+    stdout.write(format(result, flags.output));
+    return 0;
+  } catch (error) {
+    stderr.write(`spoke: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  format,
+  main
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const { SpokeCredentialsError } = require('./errors');
+
+/** Credential providers for the Spoke API key.
+ * A provider is an async function that resolves the API key, or resolves undefined
+ * when it has nothing to offer so the next provider in a chain can be tried.
+ * @module credentials
+ */
+
+/** This function returns a provider for a literal API key
+ * @param {string} apiKey - Spoke API key
+ * @returns {Function} provider
+ */
+function fromApiKey(apiKey) {
+  return async () => apiKey || undefined;
+}
+
+/** This function returns a provider that reads the API key from an environment variable
+ * @param {string} [name=SPOKE_API_KEY] - environment variable name
+ * @returns {Function} provider
+ */
+function fromEnv(name = 'SPOKE_API_KEY') {
+  return async () => process.env[name] || undefined;
+}
+
+/** This function returns a provider that reads the API key from a file on disk
+ * A missing file falls through to the next provider, any other read error is rejected.
+ * @param {string} path - path to a file containing the API key
+ * @returns {Function} provider
+ */
+function fromFile(path) {
+  return async () => {
+    try {
+      const contents = await fs.promises.readFile(path, 'utf8');
+      return contents.trim() || undefined;
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  };
+}
+
+/** This function wraps an arbitrary (sync or async) function as a provider
+ * @param {Function} fn - function returning the API key
+ * @returns {Function} provider
+ */
+function fromFunction(fn) {
+  return async () => (await fn()) || undefined;
+}
+
+/** This function returns a provider that uses the AWS SDK to look up the API key in Secrets Manager
+ * @param {Object} options
+ * @param {string} options.secretId - AWS Secrets Manager secret ID (or prefix)
+ * @param {string} [options.region=us-east-1] - AWS region of the secret
+ * @param {string} [options.jsonKey] - when the secret is a JSON object, the key holding the API key
+ * @returns {Function} provider
+ */
+function fromSecretsManager({ secretId, region = 'us-east-1', jsonKey }) {
+  return async () => {
+    // required lazily so aws-sdk is only needed when Secrets Manager is used
+    const AWS = require('aws-sdk');
+    const sm = new AWS.SecretsManager({ region });
+    const data = await sm.getSecretValue({
+      SecretId: `${secretId}`
+    }).promise();
+    const secret = data.SecretString;
+    if (!jsonKey) return secret;
+    let parsed;
+    try {
+      parsed = JSON.parse(secret);
+    } catch (error) {
+      // the parser's message quotes the start of the secret, so it is not passed on
+      throw new SpokeCredentialsError(`Secret ${secretId} is not a JSON object, so key ${jsonKey} cannot be read from it`);
+    }
+    return parsed && typeof parsed === 'object' ? parsed[jsonKey] : undefined;
+  };
+}
+
+/** This function combines providers into a single provider that tries each one in order
+ * @param {Function[]} providers - credential providers
+ * @returns {Function} provider resolving the first API key found
+ */
+function chain(providers) {
+  return async () => {
+    for (const provider of providers) {
+      const apiKey = await provider();
+      if (apiKey) return apiKey;
+    }
+    return undefined;
+  };
+}
+
+/** This function builds the provider chain for the Spoke constructor argument
+ * @param {string|Object} [options] - secret prefix string, or client options object
+ * @param {string} [options.apiKey] - literal API key
+ * @param {string} [options.apiKeyEnv] - environment variable holding the API key
+ * @param {string} [options.apiKeyFile] - file holding the API key
+ * @param {string} [options.secretPrefix] - AWS Secrets Manager secret ID
+ * @param {string} [options.region] - AWS region for the Secrets Manager lookup
+ * @param {string} [options.secretKey] - JSON key to extract from the secret
+ * @param {Function|Function[]} [options.credentials] - custom provider or provider chain
+ * @returns {Function} provider
+ */
+function fromOptions(options) {
+  if (typeof options === 'string') {
+    return fromSecretsManager({ secretId: options });
+  }
+  options = options || {};
+  if (options.credentials) {
+    const custom = [].concat(options.credentials).map(fromFunction);
+    return chain(custom);
+  }
+
+  const providers = [];
+  if (options.apiKey) providers.push(fromApiKey(options.apiKey));
+  if (options.apiKeyEnv) providers.push(fromEnv(options.apiKeyEnv));
+  if (options.apiKeyFile) providers.push(fromFile(options.apiKeyFile));
+  if (options.secretPrefix) {
+    providers.push(fromSecretsManager({
+      secretId: options.secretPrefix,
+      region: options.region,
+      jsonKey: options.secretKey
+    }));
+  }
+  if (!providers.length) providers.push(fromEnv());
+  return chain(providers);
+}
+
+module.exports = {
+  fromApiKey,
+  fromEnv,
+  fromFile,
+  fromFunction,
+  fromSecretsManager,
+  chain,
+  fromOptions
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const { SpokeNotFoundError, SpokeValidationError } = require('./errors');
+const { KeyedQueue } = require('./queue');
+const { Rota } = require('./rota');
+
+/** Team delegation helpers.
+ * Spoke replaces a team's `settings.delegation` object as a whole on every PATCH, so these helpers
+ * always send a complete delegation for the strategy. Changes to `excludedUsers` are read-modify-writes,
+ * and calls on the same team are queued within the client so they build on each other's result.
+ * Teams carry no ETag, so an edit made elsewhere between the read and the write is not detected.
+ * @module delegation
+ */
+
+const ROUND_ROBIN = 'ROUND_ROBIN';
+const SPECIFIC_USER = 'SPECIFIC_USER';
+
+/** This function keeps only the keys that apply to the delegation's strategy */
+function delegationPayload(delegation) {
+  if (delegation.strategy === ROUND_ROBIN) return { strategy: ROUND_ROBIN, excludedUsers: delegation.excludedUsers || [] };
+  if (delegation.strategy === SPECIFIC_USER) return { strategy: SPECIFIC_USER, specifiedUser: delegation.specifiedUser };
+  const payload = Object.assign({}, delegation);
+  delete payload.specifiedUser;
+  delete payload.excludedUsers;
+  return payload;
+}
+
+/** spoke.delegation */
+class DelegationClient {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   */
+  constructor(spoke) {
+    this.spoke = spoke;
+    this._queue = new KeyedQueue();
+  }
+
+  /** This function reads a team's current delegation settings
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @example <caption>Example getDelegation usage</caption>
+   * const { strategy, specifiedUser, excludedUsers } = await spoke.delegation.get('Information Technology');
+   * @returns {Promise.object} delegation - { strategy, specifiedUser, excludedUsers }
+   */
+  async get(team) {
+    const teamId = await this._teamId(team);
+    return (await this._read(teamId)).delegation;
+  }
+
+  /** This function delegates new requests round robin
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {Object} [options]
+   * @param {Array} [options.exclude] - users (IDs, emails or references) to leave out of the rotation;
+   * keeps the current exclusions when omitted
+   * @returns {Promise.object} the new delegation
+   */
+  async setRoundRobin(team, options = {}) {
+    const teamId = await this._teamId(team);
+    return this._queue.run(teamId, async () => {
+      let excludedUsers = options.exclude;
+      if (excludedUsers === undefined) excludedUsers = (await this._read(teamId)).delegation.excludedUsers || [];
+      return this._write(teamId, { strategy: ROUND_ROBIN, excludedUsers: await this._userIds(excludedUsers) });
+    });
+  }
+
+  /** This function delegates every new request to one user
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} the new delegation
+   */
+  async setSpecificUser(team, user) {
+    const teamId = await this._teamId(team);
+    const specifiedUser = await this.spoke._resolver.id('users', user);
+    return this._queue.run(teamId, () => this._write(teamId, { strategy: SPECIFIC_USER, specifiedUser }));
+  }
+
+  /** This function leaves a user out of a round robin team's rotation
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} the new delegation (unchanged if the user was already excluded)
+   * @throws {SpokeValidationError} when the team does not delegate round robin
+   */
+  async excludeUser(team, user) {
+    return this._changeExclusions(team, user, (excluded, userId) => excluded.concat(userId));
+  }
+
+  /** This function puts a user back into a round robin team's rotation
+   * @param {string|Object} team - team ID, name, or { name } reference
+   * @param {string|Object} user - user ID, email, or reference
+   * @returns {Promise.object} the new delegation (unchanged if the user was not excluded)
+   * @throws {SpokeValidationError} when the team does not delegate round robin
+   */
+  async includeUser(team, user) {
+    return this._changeExclusions(team, user, (excluded, userId) => excluded.filter((id) => id !== userId));
+  }
+
+  /** This function creates an on-call rota that hands a team's specific user over on schedule
+   * @param {Object} definition - see Rota
+   * @example <caption>Example rota usage</caption>
+   * const rota = spoke.delegation.rota({ team: 'Information Technology', users: ['ada@example.com', 'bob@example.com'], start: '2021-06-07T09:00:00Z', period: 'week' });
+   * rota.start({ onHandoff: ({ user }) => console.log(`${user} is on call`) });
+   * @returns {Rota}
+   */
+  rota(definition) {
+    return new Rota(this, definition);
+  }
+
+  async _changeExclusions(team, user, change) {
+    const teamId = await this._teamId(team);
+    const userId = await this.spoke._resolver.id('users', user);
+    return this._queue.run(teamId, async () => {
+      const { name, delegation } = await this._read(teamId);
+      if (delegation.strategy !== ROUND_ROBIN) {
+        throw new SpokeValidationError(`Team ${name || teamId} uses ${delegation.strategy} delegation; excluded users only apply to ${ROUND_ROBIN}`, {
+          endpoint: `teams/${teamId}`
+        });
+      }
+      const current = delegation.excludedUsers || [];
+      const excludedUsers = Array.from(new Set(change(current, userId)));
+      if (excludedUsers.length === current.length && excludedUsers.every((id) => current.includes(id))) return delegation;
+      return this._write(teamId, { strategy: ROUND_ROBIN, excludedUsers });
+    });
+  }
+
+  async _write(teamId, delegation) {
+    const team = await this.spoke.teams.update(teamId, { settings: { delegation: delegationPayload(delegation) } });
+    return (team.settings && team.settings.delegation) || delegation;
+  }
+
+  async _read(teamId) {
+    const team = (await this.spoke.listAll('teams', {})).find((record) => record.id === teamId);
+    if (!team) throw new SpokeNotFoundError(`Team ${teamId} not found`, { status: 404, endpoint: 'teams' });
+    return { name: team.name, delegation: Object.assign({}, team.settings && team.settings.delegation) };
+  }
+
+  // resolved through the resolver cache, so the only uncached teams listing per change is _read
+  async _teamId(team) {
+    if (typeof team === 'string') {
+      if (await this.spoke._resolver.byId('teams', team)) return team;
+      return (await this.spoke._resolver.resolve('teams', team)).id;
+    }
+    return this.spoke._resolver.id('teams', team);
+  }
+
+  async _userIds(users) {
+    const ids = [];
+    for (const user of [].concat(users)) ids.push(await this.spoke._resolver.id('users', user));
+    return ids;
+  }
+}
+
+module.exports = {
+  ROUND_ROBIN,
+  SPECIFIC_USER,
+  delegationPayload,
+  DelegationClient
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+/** Error classes for Spoke API failures.
+ * Errors never keep a reference to the got error or response, since both carry
+ * the request headers and with them the Spoke API key.
+ * @module errors
+ */
+
+const REDACTED = '[REDACTED]';
+
+/** Base class for every error raised by the SDK */
+class SpokeError extends Error {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.method] - HTTP method
+   * @param {string} [details.endpoint] - request path (appended to hostname URL)
+   * @param {string} [details.spokeMessage] - error message returned by the Spoke API
+   * @param {string} [details.code] - socket or lookup error code, when there was no response
+   * @param {Object} [details.request] - redacted request summary
+   * @param {Object} [details.body] - response body returned by the Spoke API
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status;
+    this.method = details.method;
+    this.endpoint = details.endpoint;
+    this.spokeMessage = details.spokeMessage;
+    this.code = details.code;
+    this.request = details.request;
+    this.body = details.body;
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      method: this.method,
+      endpoint: this.endpoint,
+      spokeMessage: this.spokeMessage,
+      code: this.code,
+      request: this.request,
+      body: this.body
+    };
+  }
+}
+
+/** 401 and 403 responses: missing, invalid or under-privileged API key */
+class SpokeAuthError extends SpokeError {}
+
+/** 404 responses */
+class SpokeNotFoundError extends SpokeError {}
+
+/** 400 and 422 responses: the payload or query was rejected */
+class SpokeValidationError extends SpokeError {}
+
+/** 409 and 412 responses, or a read-modify-write that kept losing to concurrent edits */
+class SpokeConflictError extends SpokeError {}
+
+/** 429 responses */
+class SpokeRateLimitError extends SpokeError {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details] - see SpokeError
+   * @param {string} [details.retryAfter] - Retry-After header value
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { retryAfter: this.retryAfter });
+  }
+}
+
+/** 5xx responses */
+class SpokeServerError extends SpokeError {}
+
+/** The Spoke API key could not be resolved by the credential providers */
+class SpokeCredentialsError extends SpokeError {}
+
+/** A webhook delivery failed signature, timestamp or payload checks */
+class SpokeWebhookError extends SpokeError {}
+
+/** A name, email or title matched zero or several Spoke records */
+class SpokeResolveError extends SpokeError {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details] - see SpokeError
+   * @param {string} [details.resource] - 'teams', 'users', 'tags' or 'requestTypes'
+   * @param {string} [details.reference] - the name, email or title that was looked up
+   * @param {Object[]} [details.matches] - records that matched, empty when none did
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.resource = details.resource;
+    this.reference = details.reference;
+    this.matches = details.matches || [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { resource: this.resource, reference: this.reference, matches: this.matches });
+  }
+}
+
+/** Request type field values failed local validation; raised before any HTTP call */
+class SpokeFormError extends SpokeValidationError {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details] - see SpokeError
+   * @param {Object[]} [details.fields] - { field, message } for each offending field
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields || [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { fields: this.fields });
+  }
+}
+
+/** A request body failed the client-side schema check; raised before any HTTP call */
+class SpokePayloadError extends SpokeValidationError {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details] - see SpokeError
+   * @param {Object[]} [details.problems] - { path, message } for each error (and each warning in strict mode)
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.problems = details.problems || [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { problems: this.problems });
+  }
+}
+
+/** A call in fixture replay mode had no recorded response */
+class SpokeFixtureError extends SpokeError {
+
+  /**
+   * @constructor
+   * @param {string} message - error message
+   * @param {Object} [details] - see SpokeError
+   * @param {string} [details.fixture] - fixture file the call was looked up in
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fixture = details.fixture;
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { fixture: this.fixture });
+  }
+}
+
+/** This function builds a request summary that is safe to log
+ * @param {Object} call - request description passed to Spoke#request
+ * @returns {Object} summary with the Api-key header redacted
+ */
+function requestSummary({ method, endpoint, searchParams, json }) {
+  return {
+    method,
+    endpoint,
+    searchParams,
+    json,
+    headers: { 'Api-key': REDACTED }
+  };
+}
+
+/** This function blanks out quoted text in an error message from code outside the SDK,
+ * such as a credential provider, since quoted input may be (part of) a secret
+ * @param {string} [message]
+ * @returns {string} message with every quoted run replaced by [REDACTED]
+ */
+function redactQuoted(message) {
+  return String(message || '').replace(/(["'`])(?:(?!\1)[^\n])*\1/g, REDACTED);
+}
+
+/** This function pulls Spoke's own error message out of a response body
+ * @param {*} body - response body
+ * @returns {string|undefined}
+ */
+function spokeMessage(body) {
+  if (!body) return undefined;
+  if (typeof body === 'string') return body;
+  if (typeof body.message === 'string') return body.message;
+  if (typeof body.error === 'string') return body.error;
+  if (body.error && typeof body.error.message === 'string') return body.error.message;
+  if (Array.isArray(body.errors)) {
+    return body.errors.map((error) => (typeof error === 'string' ? error : error.message)).join('; ');
+  }
+  return undefined;
+}
+
+/** This function picks the error class for an HTTP status code
+ * @param {number} [status]
+ * @returns {Function} error class
+ */
+function errorClass(status) {
+  if (status === 401 || status === 403) return SpokeAuthError;
+  if (status === 404) return SpokeNotFoundError;
+  if (status === 400 || status === 422) return SpokeValidationError;
+  if (status === 409 || status === 412) return SpokeConflictError;
+  if (status === 429) return SpokeRateLimitError;
+  if (status >= 500) return SpokeServerError;
+  return SpokeError;
+}
+
+/** This function converts an error thrown by got into a SpokeError
+ * @param {Error} error - error thrown by got
+ * @param {Object} call - request description passed to Spoke#request
+ * @returns {SpokeError}
+ */
+function fromGotError(error, call) {
+  if (error instanceof SpokeError) return error;
+  const response = error.response;
+  const status = response ? response.statusCode : undefined;
+  const body = response ? response.body : undefined;
+  const message = spokeMessage(body);
+  const ErrorClass = errorClass(status);
+  const summary = status
+    ? `Spoke API ${call.method} ${call.endpoint} failed with status ${status}`
+    : `Spoke API ${call.method} ${call.endpoint} failed: ${error.message}`;
+
+  return new ErrorClass(message ? `${summary}: ${message}` : summary, {
+    status,
+    method: call.method,
+    endpoint: call.endpoint,
+    spokeMessage: message,
+    code: error.code,
+    request: requestSummary(call),
+    body,
+    retryAfter: response && response.headers ? response.headers['retry-after'] : undefined
+  });
+}
+
+module.exports = {
+  SpokeError,
+  SpokeAuthError,
+  SpokeNotFoundError,
+  SpokeValidationError,
+  SpokeConflictError,
+  SpokeRateLimitError,
+  SpokeServerError,
+  SpokeCredentialsError,
+  SpokeWebhookError,
+  SpokeResolveError,
+  SpokeFormError,
+  SpokePayloadError,
+  SpokeFixtureError,
+  REDACTED,
+  redactQuoted,
+  requestSummary,
+  fromGotError
+};
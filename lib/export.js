@@ -0,0 +1,181 @@
+'use strict';
+
+const { Readable } = require('stream');
+
+/** Streaming export of requests to NDJSON or CSV.
+ * Requests are paged from listRequests and written one at a time, so memory stays flat
+ * however many requests match. Users, teams and tags are loaded once to fill in names.
+ * @module export
+ */
+
+/** Columns used when none are given. A column is { header, value } where value is a
+ * dotted path into the enriched request (owner, requester, team and tags replaced by
+ * their records, messages added when requested) or a function of it.
+ */
+const DEFAULT_COLUMNS = [
+  { header: 'id', value: 'id' },
+  { header: 'subject', value: 'subject' },
+  { header: 'status', value: 'status' },
+  { header: 'createdAt', value: 'createdAt' },
+  { header: 'updatedAt', value: 'updatedAt' },
+  { header: 'requester', value: 'requester.displayName' },
+  { header: 'owner', value: 'owner.displayName' },
+  { header: 'team', value: 'team.name' },
+  { header: 'tags', value: 'tags.name' }
+];
+
+const MESSAGES_COLUMN = {
+  header: 'messages',
+  value: (request) => (request.messages || []).map((message) => {
+    const author = message.actor && message.actor.displayName ? `${message.actor.displayName}: ` : '';
+    const text = message.content && message.content.message ? message.content.message.text : '';
+    return `${author}${text}`;
+  })
+};
+
+/** This function reads a dotted path, mapping over arrays along the way
+ * @param {Object} record
+ * @param {string} path - e.g. 'owner.displayName' or 'tags.name'
+ * @returns {*}
+ */
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    if (Array.isArray(value)) return value.map((item) => (item === null || item === undefined ? undefined : item[key]));
+    return value[key];
+  }, record);
+}
+
+/** This function quotes a value for a CSV cell (RFC 4180); arrays are joined with '; ' */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) value = value.filter((item) => item !== undefined && item !== null).join('; ');
+  else if (value instanceof Date) value = value.toISOString();
+  else if (typeof value === 'object') value = JSON.stringify(value);
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** This function normalizes a column option: strings become { header: path, value: path } */
+function normalizeColumns(columns) {
+  return columns.map((column) => (typeof column === 'string' ? { header: column, value: column } : column));
+}
+
+function columnValue(column, record) {
+  return typeof column.value === 'function' ? column.value(record) : getPath(record, column.value);
+}
+
+/** This function turns since/until options into the createdAt window shared by exports and reports
+ * The bounds are sent as the createdSince/createdBefore list filters so Spoke can narrow the listing. Only
+ * FakeSpokeServer is known to implement them; they are not verified against the live API, so `contains`
+ * re-checks every request and the result is the same when Spoke ignores them.
+ * @param {Object} [options]
+ * @param {Date|string} [options.since] - first createdAt in the window
+ * @param {Date|string} [options.until] - end of the window (exclusive)
+ * @returns {Object} { since, until, query, contains(request) }, with since and until as Dates or undefined
+ */
+function createdWindow(options = {}) {
+  const bound = (name) => {
+    if (!options[name]) return undefined;
+    const date = new Date(options[name]);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date: ${options[name]}`);
+    return date;
+  };
+  const since = bound('since');
+  const until = bound('until');
+  const query = {};
+  if (since) query.createdSince = since.toISOString();
+  if (until) query.createdBefore = until.toISOString();
+  const contains = (request) => {
+    const created = Date.parse(request.createdAt);
+    return Number.isNaN(created) || ((!since || created >= since.getTime()) && (!until || created < until.getTime()));
+  };
+  return { since, until, query, contains };
+}
+
+/** This function lazily loads users, teams and tags once and indexes them by ID */
+function lookups(spoke) {
+  const cache = {};
+  return async (resource) => {
+    if (!cache[resource]) {
+      cache[resource] = spoke.listAll(resource, {}).then((records) => new Map(records.map((record) => [record.id, record])));
+    }
+    return cache[resource];
+  };
+}
+
+/** This function streams requests as NDJSON or CSV
+ * @param {Spoke} spoke
+ * @param {Object} [filters] - listRequests query (team, status, tags, ...); team and tags may be name references
+ * @param {Object} [options]
+ * @param {string} [options.format=ndjson] - 'ndjson' or 'csv'
+ * @param {Array} [options.columns] - column definitions (strings or { header, value }); NDJSON without columns writes whole requests
+ * @param {Date|string} [options.since] - only requests created at or after this time (see createdWindow)
+ * @param {Date|string} [options.until] - only requests created before this time
+ * @param {boolean} [options.includeMessages=false] - fetch each request's message thread
+ * @returns {Readable} stream of text chunks, one per line
+ */
+function exportRequests(spoke, filters = {}, options = {}) {
+  const format = options.format || 'ndjson';
+  if (!['ndjson', 'csv'].includes(format)) throw new Error(`Unknown export format: ${format}`);
+  let columns = options.columns ? normalizeColumns(options.columns) : undefined;
+  if (!columns && format === 'csv') {
+    columns = options.includeMessages ? DEFAULT_COLUMNS.concat(MESSAGES_COLUMN) : DEFAULT_COLUMNS;
+  }
+  const range = createdWindow(options);
+  const lookup = lookups(spoke);
+
+  async function* lines() {
+    const query = Object.assign({}, filters, range.query);
+    if (query.team !== undefined) query.team = await spoke._resolver.id('teams', query.team);
+    if (query.tags !== undefined) {
+      const tags = await Promise.all([].concat(query.tags).map((tag) => spoke._resolver.id('tags', tag)));
+      query.tags = tags.join(',');
+    }
+
+    if (format === 'csv') yield `${columns.map((column) => csvCell(column.header)).join(',')}\r\n`;
+
+    for await (const request of spoke.iterateRequests(query)) {
+      if (!range.contains(request)) continue;
+
+      const record = Object.assign({}, request);
+      if (options.includeMessages) {
+        record.messages = [];
+        for await (const message of spoke.requests.iterateMessages(request.id)) record.messages.push(message);
+      }
+      if (!columns) {
+        yield `${JSON.stringify(record)}\n`;
+        continue;
+      }
+
+      const [users, teams, tags] = await Promise.all([lookup('users'), lookup('teams'), lookup('tags')]);
+      const user = (id) => users.get(id) || (id ? { id } : undefined);
+      record.requester = user(request.requester);
+      record.owner = user(request.owner);
+      record.team = teams.get(request.team) || (request.team ? { id: request.team } : undefined);
+      record.tags = (request.tags || []).map((id) => tags.get(id) || { id });
+      for (const message of record.messages || []) {
+        const ref = message.actor && message.actor.ref;
+        if (ref && users.has(ref)) message.actor = Object.assign({}, message.actor, users.get(ref));
+      }
+
+      if (format === 'csv') {
+        yield `${columns.map((column) => csvCell(columnValue(column, record))).join(',')}\r\n`;
+      } else {
+        const row = {};
+        for (const column of columns) row[column.header] = columnValue(column, record);
+        yield `${JSON.stringify(row)}\n`;
+      }
+    }
+  }
+
+  return Readable.from(lines(), { objectMode: false });
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  getPath,
+  csvCell,
+  createdWindow,
+  exportRequests
+};
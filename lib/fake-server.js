@@ -0,0 +1,424 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+/** An in-process fake of the Spoke API for offline tests.
+ * Implements in-memory requests, messages, tags, teams, users and request types,
+ * and records every call it receives.
+ * @module fake-server
+ */
+
+const API_PREFIX = '/api/v1/';
+
+/** This function generates a Spoke-style (Mongo ObjectId shaped) identifier
+ * @returns {string}
+ */
+function objectId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/** This function returns the seed data a FakeSpokeServer starts with when none is given
+ * @returns {Object} seed - { users, teams, tags, requestTypes, requests }
+ */
+function defaultSeed() {
+  return {
+    users: [
+      { id: 'user-1', displayName: 'Ada Admin', email: 'ada@example.com' },
+      { id: 'user-2', displayName: 'Bob Builder', email: 'bob@example.com' }
+    ],
+    teams: [
+      {
+        id: 'team-1',
+        name: 'Information Technology',
+        settings: { delegation: { strategy: 'ROUND_ROBIN', excludedUsers: [] } }
+      }
+    ],
+    tags: [
+      { id: 'tag-1', name: 'laptop' },
+      { id: 'tag-2', name: 'urgent' }
+    ],
+    requestTypes: [
+      { id: 'type-1', title: 'Account Deprovisioning Alert', fields: [] }
+    ],
+    requests: []
+  };
+}
+
+/** This function checks whether a record matches Spoke's free-text `q` parameter
+ * @param {Object} record
+ * @param {string} [q]
+ * @returns {boolean}
+ */
+function matchesQuery(record, q) {
+  if (!q) return true;
+  const needle = String(q).toLowerCase();
+  return ['name', 'displayName', 'email', 'subject', 'title', 'body']
+    .some((key) => typeof record[key] === 'string' && record[key].toLowerCase().includes(needle));
+}
+
+/** This function applies the field filters supported by the fake list endpoints
+ * @param {Object} record
+ * @param {Object} query - parsed query string
+ * @param {string[]} fields - filterable field names
+ * @returns {boolean}
+ */
+function matchesFilters(record, query, fields) {
+  return fields.every((field) => {
+    if (query[field] === undefined) return true;
+    const value = record[field];
+    if (Array.isArray(value)) return value.includes(query[field]);
+    return String(value) === String(query[field]);
+  });
+}
+
+/** This function applies the time window filters of the fake requests list endpoint
+ * (updatedSince and createdSince are inclusive, createdBefore is exclusive)
+ * @param {Object} record
+ * @param {Object} query - parsed query string
+ * @returns {boolean}
+ */
+function matchesWindow(record, query) {
+  const at = (value) => new Date(value).getTime();
+  if (query.updatedSince && !(at(record.updatedAt) >= at(query.updatedSince))) return false;
+  if (query.createdSince && !(at(record.createdAt) >= at(query.createdSince))) return false;
+  if (query.createdBefore && !(at(record.createdAt) < at(query.createdBefore))) return false;
+  return true;
+}
+
+/** This class runs a local HTTP server that behaves like the Spoke API */
+class FakeSpokeServer {
+
+  /**
+   * @constructor
+   * @param {Object} [options]
+   * @param {string} [options.apiKey=fake-api-key] - API key the server accepts
+   * @param {Object} [options.seed] - initial data, see defaultSeed()
+   * @example <caption>Example FakeSpokeServer usage</caption>
+   * const server = new FakeSpokeServer();
+   * await server.start();
+   * const spoke = new Spoke(server.clientOptions());
+   * await spoke.postRequest({ subject: 'New laptop', requester: 'user-1' });
+   * server.list('requests'); // => [{ id, subject: 'New laptop', ... }]
+   * await server.stop();
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || 'fake-api-key';
+    this.calls = [];
+    this._server = undefined;
+    this.reset(options.seed);
+  }
+
+  /** This function replaces all in-memory data with the given seed and clears recorded calls
+   * @param {Object} [seed] - { users, teams, tags, requestTypes, requests }, defaults to defaultSeed()
+   */
+  reset(seed = defaultSeed()) {
+    this.calls = [];
+    this._revisions = new Map();
+    this.data = {
+      users: new Map(),
+      teams: new Map(),
+      tags: new Map(),
+      requestTypes: new Map(),
+      requests: new Map(),
+      messages: new Map()
+    };
+    this.seed(seed);
+  }
+
+  /** This function adds records to the in-memory data
+   * @param {Object} seed - { users, teams, tags, requestTypes, requests, messages }
+   * `messages` maps a request ID to an array of message objects.
+   */
+  seed(seed = {}) {
+    for (const collection of ['users', 'teams', 'tags', 'requestTypes']) {
+      for (const record of seed[collection] || []) {
+        const copy = JSON.parse(JSON.stringify(record));
+        if (!copy.id) copy.id = objectId();
+        this.data[collection].set(copy.id, copy);
+      }
+    }
+    for (const request of seed.requests || []) this._createRequest(request);
+    for (const requestId of Object.keys(seed.messages || {})) {
+      for (const message of seed.messages[requestId]) this._createMessage(requestId, message);
+    }
+  }
+
+  /** This function returns a stored record
+   * @param {string} collection - 'requests', 'users', 'teams', 'tags' or 'requestTypes'
+   * @param {string} id - record ID
+   * @returns {Object|undefined}
+   */
+  get(collection, id) {
+    return this.data[collection].get(id);
+  }
+
+  /** This function returns every stored record of a collection
+   * @param {string} collection - 'requests', 'users', 'teams', 'tags' or 'requestTypes'
+   * @returns {Object[]}
+   */
+  list(collection) {
+    return Array.from(this.data[collection].values());
+  }
+
+  /** This function returns the messages posted to a request
+   * @param {string} requestId
+   * @returns {Object[]}
+   */
+  messages(requestId) {
+    return this.data.messages.get(requestId) || [];
+  }
+
+  /** This function starts listening on a random local port
+   * @returns {Promise.string} baseUrl - URL to pass as the Spoke client's baseUrl
+   */
+  async start() {
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve) => this._server.listen(0, '127.0.0.1', resolve));
+    return this.baseUrl;
+  }
+
+  /** This function stops the server
+   * @returns {Promise}
+   */
+  async stop() {
+    if (!this._server) return;
+    const server = this._server;
+    this._server = undefined;
+    await new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())));
+  }
+
+  /** The base URL of the running server, ending in /api/v1/ */
+  get baseUrl() {
+    if (!this._server) throw new Error('FakeSpokeServer is not started');
+    return `http://127.0.0.1:${this._server.address().port}${API_PREFIX}`;
+  }
+
+  /** This function returns Spoke constructor options pointing at this server
+   * @returns {Object} options - { apiKey, baseUrl }
+   */
+  clientOptions() {
+    return { apiKey: this.apiKey, baseUrl: this.baseUrl };
+  }
+
+  _handle(req, res) {
+    // a route that throws is answered with a 500 instead of leaving the client waiting for its timeout
+    this._dispatch(req, res).catch((error) => {
+      if (res.headersSent) return res.end();
+      return send(res, 500, { message: `FakeSpokeServer failed: ${error.message}` });
+    });
+  }
+
+  async _dispatch(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const query = Object.fromEntries(url.searchParams);
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (error) {
+      return send(res, 400, { message: 'Request body is not valid JSON' });
+    }
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : undefined;
+    this.calls.push({ method: req.method, path, query, body, headers: Object.assign({}, req.headers) });
+
+    if (req.headers['api-key'] !== this.apiKey) return send(res, 401, { message: 'Invalid API key' });
+    if (path === undefined) return send(res, 404, { message: 'Not found' });
+
+    for (const [method, pattern, handler] of this._routes()) {
+      const match = req.method === method && pattern.exec(path);
+      if (match) {
+        const [status, payload, headers] = handler(match.slice(1), query, body, req.headers);
+        return send(res, status, payload, headers);
+      }
+    }
+    return send(res, 404, { message: `No route for ${req.method} ${path}` });
+  }
+
+  _routes() {
+    return [
+      ['GET', /^requests$/, (params, query) => this._page(
+        this.list('requests').filter((r) => matchesQuery(r, query.q) && matchesWindow(r, query) &&
+          matchesFilters(r, query, ['status', 'team', 'requester', 'owner', 'requestType', 'tags'])),
+        query
+      )],
+      ['POST', /^requests$/, (params, query, body) => {
+        if (!body || !body.subject || !body.requester) {
+          return [400, { message: 'subject and requester are required' }];
+        }
+        return [201, this._createRequest(body)];
+      }],
+      ['GET', /^requests\/([^/]+)$/, ([id]) => this._withEtag(this._found(this.get('requests', id)))],
+      ['PATCH', /^requests\/([^/]+)$/, ([id], query, body, headers) => {
+        const request = this.get('requests', id);
+        if (request && headers['if-match'] && headers['if-match'] !== this.etag(id)) {
+          return [412, { message: 'Request was modified' }];
+        }
+        return this._withEtag(this._update('requests', id, body));
+      }],
+      ['DELETE', /^requests\/([^/]+)$/, ([id]) => {
+        const request = this.get('requests', id);
+        if (!request) return this._found(request);
+        this.data.requests.delete(id);
+        this.data.messages.delete(id);
+        return [200, request];
+      }],
+      ['GET', /^requests\/([^/]+)\/messages$/, ([id], query) => {
+        if (!this.get('requests', id)) return this._found();
+        return this._page(this.messages(id), query);
+      }],
+      ['POST', /^requests\/([^/]+)\/messages$/, ([id], query, body) => {
+        if (!this.get('requests', id)) return this._found();
+        if (!body || !body.actor || !body.content) return [400, { message: 'actor and content are required' }];
+        return [201, this._createMessage(id, body)];
+      }],
+      ['PATCH', /^requests\/([^/]+)\/tags$/, ([id], query, body) => {
+        const request = this.get('requests', id);
+        if (!request) return this._found();
+        for (const tag of (body && body.tags) || []) {
+          const tagId = tag._id || tag.id;
+          if (!this.get('tags', tagId)) return [400, { message: `Unknown tag ${tagId}` }];
+          if (!request.tags.includes(tagId)) request.tags.push(tagId);
+        }
+        this._touch(request);
+        return [200, request];
+      }],
+      ['DELETE', /^requests\/([^/]+)\/tags\/([^/]+)$/, ([id, tagId]) => {
+        const request = this.get('requests', id);
+        if (!request) return this._found();
+        request.tags = request.tags.filter((existing) => existing !== tagId);
+        this._touch(request);
+        return [200, request];
+      }],
+      ['GET', /^teams$/, (params, query) => this._page(this.list('teams').filter((t) => matchesQuery(t, query.q)), query)],
+      ['PATCH', /^teams\/([^/]+)$/, ([id], query, body) => {
+        const team = this.get('teams', id);
+        const delegation = body && body.settings && body.settings.delegation;
+        // Spoke replaces the delegation object as a whole rather than merging it
+        if (team && delegation) team.settings = Object.assign({}, team.settings, { delegation: {} });
+        return this._update('teams', id, body);
+      }],
+      ['GET', /^users$/, (params, query) => this._page(this.list('users').filter((u) => matchesQuery(u, query.q)), query)],
+      ['GET', /^tags$/, (params, query) => this._page(this.list('tags').filter((t) => matchesQuery(t, query.q)), query)],
+      ['POST', /^tags$/, (params, query, body) => {
+        const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return [400, { message: 'name is required' }];
+        if (this.list('tags').some((tag) => tag.name.toLowerCase() === name.toLowerCase())) {
+          return [409, { message: `Tag ${name} already exists` }];
+        }
+        const tag = { id: objectId(), name };
+        this.data.tags.set(tag.id, tag);
+        return [201, tag];
+      }],
+      ['GET', /^request_types$/, (params, query) => this._page(
+        this.list('requestTypes').filter((t) => matchesQuery(t, query.q)), query
+      )]
+    ];
+  }
+
+  _page(records, query) {
+    const start = Number(query.start) || 0;
+    const limit = Number(query.limit) || 25;
+    return [200, { results: records.slice(start, start + limit), total: records.length, start, limit }];
+  }
+
+  _found(record) {
+    return record ? [200, record] : [404, { message: 'Not found' }];
+  }
+
+  _update(collection, id, changes) {
+    const record = this.get(collection, id);
+    if (!record) return this._found();
+    deepMerge(record, changes || {});
+    if (collection === 'requests') this._touch(record);
+    return [200, record];
+  }
+
+  /** This function returns the current ETag of a stored request
+   * Request ETags and the If-Match/412 check on PATCH model an assumed protocol that the Spoke API does
+   * not document; tests relying on them say nothing about the live API.
+   * @param {string} requestId
+   * @returns {string|undefined}
+   */
+  etag(requestId) {
+    const revision = this._revisions.get(requestId);
+    return revision === undefined ? undefined : `"${revision}"`;
+  }
+
+  _touch(request) {
+    request.updatedAt = new Date().toISOString();
+    this._revisions.set(request.id, (this._revisions.get(request.id) || 0) + 1);
+  }
+
+  _withEtag([status, record]) {
+    if (status !== 200) return [status, record];
+    return [status, record, { ETag: this.etag(record.id) }];
+  }
+
+  _createRequest(fields) {
+    const now = new Date().toISOString();
+    const request = Object.assign({
+      id: objectId(),
+      status: 'OPEN',
+      tags: [],
+      taskInstances: [],
+      privacyLevel: 'PUBLIC',
+      createdAt: now,
+      updatedAt: now
+    }, JSON.parse(JSON.stringify(fields)));
+    this.data.requests.set(request.id, request);
+    this._revisions.set(request.id, 1);
+    return request;
+  }
+
+  _createMessage(requestId, fields) {
+    const message = Object.assign({
+      id: objectId(),
+      request: requestId,
+      createdAt: new Date().toISOString()
+    }, JSON.parse(JSON.stringify(fields)));
+    if (!this.data.messages.has(requestId)) this.data.messages.set(requestId, []);
+    this.data.messages.get(requestId).push(message);
+    return message;
+  }
+}
+
+/** This function merges a PATCH payload into a stored record (arrays are replaced, objects merged) */
+function deepMerge(target, source) {
+  for (const key of Object.keys(source)) {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+      target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+  return target;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function send(res, status, payload, headers) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(JSON.stringify(payload));
+}
+
+FakeSpokeServer.defaultSeed = defaultSeed;
+
+module.exports = FakeSpokeServer;
@@ -0,0 +1,189 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SpokeFixtureError, REDACTED } = require('./errors');
+const { redactFields } = require('./hooks');
+
+/** Record/replay fixtures for deterministic tests.
+ * Each distinct call (method, endpoint, query and body) is stored in its own JSON file holding the
+ * responses seen for it, in order, so a GET repeated after a PATCH replays both versions.
+ * Request headers are never written, response headers are reduced to an allowlist and the API key
+ * is scrubbed from everything that is.
+ * @module fixtures
+ */
+
+const MODES = ['replay', 'record', 'missing'];
+
+const RESPONSE_HEADERS = ['content-type', 'etag', 'retry-after', 'location'];
+
+/** This function serializes a value with object keys sorted, so equal payloads get equal keys */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/** This function renders a query object the way it is sent, for keys and messages */
+function queryString(searchParams) {
+  const query = new URLSearchParams();
+  for (const key of Object.keys(searchParams || {}).sort()) {
+    if (searchParams[key] !== undefined) query.append(key, String(searchParams[key]));
+  }
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+/** Fixture files for one client */
+class FixtureStore {
+
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.dir - directory holding the fixture files
+   * @param {string} [options.mode] - 'replay' (no network; unmatched calls throw), 'record' (call Spoke and
+   * overwrite fixtures) or 'missing' (replay what exists, record the rest); defaults to $SPOKE_FIXTURES or 'replay'
+   * @param {string[]} [options.scrub] - dotted body paths replaced with [REDACTED] in recorded bodies
+   */
+  constructor(options) {
+    if (!options || !options.dir) throw new Error('Spoke fixtures need a dir');
+    this.dir = options.dir;
+    this.mode = options.mode || process.env.SPOKE_FIXTURES || 'replay';
+    if (!MODES.includes(this.mode)) throw new Error(`Unknown Spoke fixture mode: ${this.mode}`);
+    this.scrub = options.scrub || [];
+    this._used = new Map();
+    this._writing = Promise.resolve();
+  }
+
+  /** This function names the fixture file for a call
+   * @param {Object} call - request description passed to Spoke#request
+   * @returns {string} fixture file path
+   */
+  file(call) {
+    const hash = crypto.createHash('sha256')
+      .update([call.method, call.endpoint, queryString(call.searchParams), canonical(call.json)].join('\n'))
+      .digest('hex')
+      .slice(0, 12);
+    const slug = `${call.method}-${call.endpoint}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '');
+    return path.join(this.dir, `${slug}-${hash}.json`);
+  }
+
+  /** This function tells whether a call should be served from fixtures rather than the network
+   * @param {Object} call
+   * @returns {Promise.boolean}
+   */
+  async replays(call) {
+    if (this.mode === 'replay') return true;
+    if (this.mode === 'record') return false;
+    return (await this._read(this.file(call))) !== undefined;
+  }
+
+  /** This function serves the next recorded response for a call
+   * Error statuses are thrown as got-style errors with a response, so they map to the same SpokeError
+   * subclasses and retry decisions as the live call did.
+   * @param {Object} call
+   * @returns {Promise.object} response - { statusCode, headers, body }
+   * @throws {SpokeFixtureError} when no fixture was recorded for the call
+   */
+  async replay(call) {
+    const file = this.file(call);
+    const fixture = await this._read(file);
+    if (!fixture) {
+      throw new SpokeFixtureError(
+        `No Spoke fixture for ${call.method} ${call.endpoint}${queryString(call.searchParams)} (expected ${file}); ` +
+        'record it with SPOKE_FIXTURES=record or SPOKE_FIXTURES=missing',
+        { method: call.method, endpoint: call.endpoint, fixture: file }
+      );
+    }
+    const index = this._used.get(file) || 0;
+    this._used.set(file, index + 1);
+    const recorded = fixture.responses[Math.min(index, fixture.responses.length - 1)];
+    const response = { statusCode: recorded.statusCode, headers: Object.assign({}, recorded.headers), body: recorded.body };
+    if (response.statusCode >= 400) {
+      throw Object.assign(new Error(`Response code ${response.statusCode} (replayed from ${file})`), { name: 'HTTPError', response });
+    }
+    return response;
+  }
+
+  /** This function writes a live response into the call's fixture
+   * The first response recorded for a call in this session replaces the file; later ones are appended.
+   * @param {Object} call
+   * @param {Object} response - got response
+   * @param {string} [apiKey] - key to scrub wherever it appears
+   */
+  async record(call, response, apiKey) {
+    const file = this.file(call);
+    const headers = {};
+    for (const name of RESPONSE_HEADERS) {
+      if (response.headers && response.headers[name] !== undefined) headers[name] = response.headers[name];
+    }
+    const entry = { statusCode: response.statusCode, headers, body: redactFields(response.body, this.scrub) };
+
+    this._writing = this._writing.catch(() => {}).then(async () => {
+      const seen = this._used.get(file) || 0;
+      const previous = seen ? await this._read(file) : undefined;
+      const fixture = previous || {
+        request: {
+          method: call.method,
+          endpoint: call.endpoint,
+          searchParams: call.searchParams,
+          json: redactFields(call.json, this.scrub)
+        },
+        responses: []
+      };
+      fixture.responses.push(entry);
+      this._used.set(file, seen + 1);
+
+      let text = `${JSON.stringify(fixture, null, 2)}\n`;
+      if (apiKey) text = text.split(apiKey).join(REDACTED);
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(file, text);
+    });
+    return this._writing;
+  }
+
+  /** This function lists fixture files not used since the client was created, to prune stale fixtures
+   * @returns {Promise.Array} file paths
+   */
+  async unused() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return names.filter((name) => name.endsWith('.json'))
+      .map((name) => path.join(this.dir, name))
+      .filter((file) => !this._used.has(file));
+  }
+
+  async _read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+}
+
+/** This function turns the fixtures client option into a store
+ * @param {string|Object} [option] - fixture directory, or FixtureStore options
+ * @returns {FixtureStore|undefined}
+ */
+function fixtureStore(option) {
+  if (!option) return undefined;
+  if (option instanceof FixtureStore) return option;
+  return new FixtureStore(typeof option === 'string' ? { dir: option } : option);
+}
+
+module.exports = {
+  MODES,
+  FixtureStore,
+  fixtureStore
+};
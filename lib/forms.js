@@ -0,0 +1,209 @@
+'use strict';
+
+const { SpokeFormError } = require('./errors');
+
+/** Request type form helpers: map field labels to IDs, validate values against
+ * the field kinds and build `requestTypeInfo.answeredFields` payloads.
+ * @module forms
+ */
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const labelOf = (field) => field.label || field.name || field.title || field.id;
+
+const kindOf = (field) => String(field.kind || field.type || 'TEXT').toUpperCase();
+
+/** This function returns a select field's options as { label, value } pairs */
+function optionsOf(field) {
+  return (field.options || field.choices || []).map((option) => {
+    if (typeof option !== 'object') return { label: String(option), value: option };
+    const label = option.label || option.name || option.value || option.id;
+    const value = option.value !== undefined ? option.value : (option.id !== undefined ? option.id : label);
+    return { label: String(label), value };
+  });
+}
+
+const CALENDAR_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/** This function formats a Date as YYYY-MM-DD in local time, so the day is the one the caller sees */
+function localDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** This function tells whether a YYYY-MM-DD string names a day that exists */
+function isCalendarDate(value) {
+  const [, year, month, day] = CALENDAR_DATE.exec(value).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/** This function checks one value against its field and returns the value to send
+ * @param {Object} field - request type field
+ * @param {*} value - caller supplied value
+ * @returns {*} value to send to Spoke
+ * @throws {Error} with a message describing what is wrong with the value
+ */
+function coerce(field, value) {
+  const kind = kindOf(field);
+  switch (kind) {
+  case 'NUMBER': {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error('must be a number');
+    return number;
+  }
+  case 'DATE':
+  case 'DATETIME': {
+    if (kind === 'DATE' && typeof value === 'string' && CALENDAR_DATE.test(value)) {
+      if (!isCalendarDate(value)) throw new Error('must be a real calendar date');
+      return value;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if ((typeof value !== 'string' && !(value instanceof Date)) || Number.isNaN(date.getTime())) {
+      throw new Error('must be a date (Date object or ISO 8601 string)');
+    }
+    return kind === 'DATE' ? localDate(date) : date.toISOString();
+  }
+  case 'CHECKBOX':
+  case 'BOOLEAN':
+    if (typeof value !== 'boolean') throw new Error('must be true or false');
+    return value;
+  case 'SELECT':
+  case 'DROPDOWN':
+  case 'RADIO':
+    return selectOption(field, value);
+  case 'MULTI_SELECT':
+  case 'MULTISELECT':
+    if (!Array.isArray(value)) throw new Error('must be an array of options');
+    return value.map((item) => selectOption(field, item));
+  case 'TEXT':
+  case 'TEXTAREA':
+  case 'LONG_TEXT':
+  case 'SHORT_TEXT':
+  case 'EMAIL':
+    if (typeof value !== 'string') throw new Error('must be a string');
+    if (kind === 'EMAIL' && !/^[^@\s]+@[^@\s]+$/.test(value)) throw new Error('must be an email address');
+    return value;
+  default:
+    return value;
+  }
+}
+
+function selectOption(field, value) {
+  const options = optionsOf(field);
+  const match = options.find((option) => option.value === value || normalize(option.label) === normalize(value));
+  if (!match) throw new Error(`must be one of: ${options.map((option) => option.label).join(', ')}`);
+  return match.value;
+}
+
+/** This class wraps a request type and builds its requestTypeInfo payloads by field label */
+class RequestTypeSchema {
+
+  /**
+   * @constructor
+   * @param {Object} requestType - request type record, with `fields`
+   */
+  constructor(requestType) {
+    this.requestType = requestType;
+    this.id = requestType.id;
+    this.fields = requestType.fields || [];
+  }
+
+  /** This function finds a field by label or ID (case-insensitive)
+   * @param {string} name - field label or ID
+   * @returns {Object|undefined} field
+   */
+  field(name) {
+    return this.fields.find((field) => field.id === name || normalize(labelOf(field)) === normalize(name));
+  }
+
+  /** This function checks values against the schema without throwing
+   * @param {Object} values - field label (or ID) => value
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - skip the required field check (for updates)
+   * @returns {Object[]} errors - { field, message } for each offending field, empty when valid
+   */
+  validate(values, options = {}) {
+    return this._answer(values, options).errors;
+  }
+
+  /** This function builds the answeredFields array
+   * @param {Object} values - field label (or ID) => value
+   * @param {Object} [options] - { partial }
+   * @returns {Object[]} answeredFields - { fieldId, value } pairs
+   * @throws {SpokeFormError} naming every offending field
+   */
+  answeredFields(values, options = {}) {
+    const { answeredFields, errors } = this._answer(values, options);
+    if (errors.length) {
+      const summary = errors.map((error) => `"${error.field}" ${error.message}`).join('; ');
+      throw new SpokeFormError(`Invalid ${labelOf(this.requestType)} fields: ${summary}`, { fields: errors });
+    }
+    return answeredFields;
+  }
+
+  /** This function builds the requestType/requestTypeInfo part of a postRequest payload
+   * @param {Object} values - field label (or ID) => value
+   * @example <caption>Example requestPayload usage</caption>
+   * const schema = await spoke.requestTypes.schema('Laptop Request');
+   * await spoke.postRequest(Object.assign({ subject, requester }, schema.requestPayload({ 'Model': 'MacBook Pro' })));
+   * @returns {Object} { requestType, requestTypeInfo: { answeredFields } }
+   * @throws {SpokeFormError}
+   */
+  requestPayload(values) {
+    return {
+      requestType: this.id,
+      requestTypeInfo: { answeredFields: this.answeredFields(values) }
+    };
+  }
+
+  /** This function builds the requestType/requestTypeInfo part of an updateRequest payload
+   * Only the given fields are checked; required fields may be omitted.
+   * @param {Object} values - field label (or ID) => value
+   * @returns {Object} { requestType, requestTypeInfo: { answeredFields } }
+   * @throws {SpokeFormError}
+   */
+  updatePayload(values) {
+    return {
+      requestType: this.id,
+      requestTypeInfo: { answeredFields: this.answeredFields(values, { partial: true }) }
+    };
+  }
+
+  _answer(values = {}, { partial = false } = {}) {
+    const answeredFields = [];
+    const errors = [];
+    const answered = new Set();
+
+    for (const name of Object.keys(values)) {
+      const field = this.field(name);
+      if (!field) {
+        errors.push({ field: name, message: 'is not a field of this request type' });
+        continue;
+      }
+      answered.add(field.id);
+      const value = values[name];
+      if (value === undefined || value === null || value === '') {
+        if (field.required && !partial) errors.push({ field: labelOf(field), message: 'is required' });
+        continue;
+      }
+      try {
+        answeredFields.push({ fieldId: field.id, value: coerce(field, value) });
+      } catch (error) {
+        errors.push({ field: labelOf(field), message: error.message });
+      }
+    }
+
+    if (!partial) {
+      for (const field of this.fields) {
+        if (field.required && !answered.has(field.id)) errors.push({ field: labelOf(field), message: 'is required' });
+      }
+    }
+    return { answeredFields, errors };
+  }
+}
+
+module.exports = {
+  RequestTypeSchema
+};
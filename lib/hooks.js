@@ -0,0 +1,195 @@
+'use strict';
+
+const crypto = require('crypto');
+const { REDACTED } = require('./errors');
+
+/** Request lifecycle hooks, plus ready-made logger and metrics hooks.
+ * A hook is an object with any of beforeRequest, afterResponse, onError and onRetry, each
+ * called (and awaited) with the call context. Client hooks run first, then per-call hooks.
+ * The context never holds the Api-key header or the got response, so hooks cannot leak the key.
+ * @module hooks
+ */
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+
+const SENSITIVE_HEADERS = /^(api-key|authorization|cookie|set-cookie)$/i;
+
+/** This function creates a correlation ID for one call (shared by its retries) */
+function correlationId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/** This function normalizes the hooks option: a hook object, an array of them, or nothing */
+function hookList(hooks) {
+  return [].concat(hooks || []).filter(Boolean);
+}
+
+/** This function awaits one lifecycle stage on every hook, in order
+ * @param {Object[]} hooks
+ * @param {string} stage - beforeRequest, afterResponse, onError or onRetry
+ * @param {Object} context - call context, shared by every stage of the call
+ */
+async function runHooks(hooks, stage, context) {
+  for (const hook of hooks) {
+    if (typeof hook[stage] === 'function') await hook[stage](context);
+  }
+}
+
+/** This function turns an endpoint into a low-cardinality label, e.g. requests/:id/tags/:id */
+function endpointTemplate(endpoint) {
+  return String(endpoint).split('/').map((segment, index) => (index % 2 ? ':id' : segment)).join('/');
+}
+
+/** This function masks credentials in a header object; Api-key is always shown as sent-but-redacted */
+function redactHeaders(headers) {
+  const redacted = { 'Api-key': REDACTED };
+  for (const name of Object.keys(headers || {})) {
+    if (!SENSITIVE_HEADERS.test(name)) redacted[name] = headers[name];
+  }
+  return redacted;
+}
+
+/** This function copies a body with the given dotted paths masked (arrays are masked element-wise)
+ * @param {*} value - JSON body
+ * @param {string[]} paths - e.g. ['body', 'content.message.text', 'requestTypeInfo.answeredFields.value']
+ * @returns {*} redacted copy
+ */
+function redactFields(value, paths) {
+  if (value === undefined || !paths.length) return value;
+  const copy = JSON.parse(JSON.stringify(value));
+  const mask = (target, keys) => {
+    if (Array.isArray(target)) return target.forEach((item) => mask(item, keys));
+    if (!target || typeof target !== 'object' || !(keys[0] in target)) return;
+    if (keys.length === 1) target[keys[0]] = REDACTED;
+    else mask(target[keys[0]], keys.slice(1));
+  };
+  for (const path of paths) mask(copy, path.split('.'));
+  return copy;
+}
+
+/** This function summarizes an error for logs without its request body or response body */
+function errorSummary(error) {
+  return { name: error.name, message: error.message, status: error.status, spokeMessage: error.spokeMessage, code: error.code };
+}
+
+/** This function creates a structured logger hook
+ * @param {Object} [options]
+ * @param {Function|Object} [options.log] - function receiving each entry (with a level field), or a logger with
+ * debug/info/warn/error methods such as pino or console; defaults to one JSON line per entry on stdout
+ * @param {string[]} [options.redact] - dotted body paths to mask in request and response bodies
+ * @param {boolean} [options.bodies=false] - include request and response bodies
+ * @example <caption>Example logger usage</caption>
+ * const spoke = new Spoke({ hooks: Spoke.hooks.logger({ log: pino(), bodies: true, redact: ['content.message.text'] }) });
+ * @returns {Object} hook
+ */
+function logger(options = {}) {
+  const log = options.log || ((entry) => console.log(JSON.stringify(entry)));
+  const redact = options.redact || [];
+  const body = (value) => (options.bodies ? redactFields(value, redact) : undefined);
+  const write = (level, entry) => {
+    if (typeof log === 'function') log(Object.assign({ level }, entry));
+    else log[level](entry);
+  };
+  const base = (context, event) => ({
+    event,
+    id: context.id,
+    method: context.method,
+    endpoint: context.endpoint,
+    attempt: context.attempt
+  });
+
+  return {
+    beforeRequest(context) {
+      write('debug', Object.assign(base(context, 'spoke.request'), {
+        searchParams: context.searchParams,
+        headers: redactHeaders(context.headers),
+        body: body(context.json)
+      }));
+    },
+    afterResponse(context) {
+      write('info', Object.assign(base(context, 'spoke.response'), {
+        statusCode: context.statusCode,
+        duration: context.duration,
+        body: body(context.body)
+      }));
+    },
+    onRetry(context) {
+      write('warn', Object.assign(base(context, 'spoke.retry'), {
+        duration: context.duration,
+        delay: context.delay,
+        error: errorSummary(context.error)
+      }));
+    },
+    onError(context) {
+      write('error', Object.assign(base(context, 'spoke.error'), {
+        duration: context.duration,
+        error: errorSummary(context.error)
+      }));
+    }
+  };
+}
+
+/** This function creates a metrics hook counting calls by method, endpoint and status and timing them
+ * @param {Object} [options]
+ * @param {Function} [options.emit] - receives { name, type: 'counter'|'timing', value, tags: { method, endpoint, status } }
+ * @example <caption>Example metrics usage</caption>
+ * const metrics = Spoke.hooks.metrics({ emit: ({ name, type, value, tags }) => statsd[type === 'timing' ? 'timing' : 'increment'](name, value, tags) });
+ * const spoke = new Spoke({ hooks: [metrics] });
+ * @returns {Object} hook, with snapshot() returning the totals so far
+ */
+function metrics(options = {}) {
+  const counters = new Map();
+  const timings = new Map();
+  const keyOf = (name, tags) => JSON.stringify([name, tags.method, tags.endpoint, tags.status]);
+
+  const count = (name, tags) => {
+    const key = keyOf(name, tags);
+    const entry = counters.get(key) || { name, tags, value: 0 };
+    entry.value++;
+    counters.set(key, entry);
+    if (options.emit) options.emit({ name, type: 'counter', value: 1, tags });
+  };
+  const time = (name, tags, value) => {
+    const key = keyOf(name, tags);
+    const entry = timings.get(key) || { name, tags, count: 0, sum: 0, max: 0 };
+    entry.count++;
+    entry.sum += value;
+    entry.max = Math.max(entry.max, value);
+    timings.set(key, entry);
+    if (options.emit) options.emit({ name, type: 'timing', value, tags });
+  };
+  const tagsOf = (context, status) => ({ method: context.method, endpoint: endpointTemplate(context.endpoint), status });
+  const finish = (context, status) => {
+    const tags = tagsOf(context, status);
+    count('spoke.request.count', tags);
+    time('spoke.request.duration', tags, context.duration);
+  };
+
+  return {
+    afterResponse(context) {
+      finish(context, context.statusCode);
+    },
+    onRetry(context) {
+      count('spoke.request.retry', tagsOf(context, context.error.status || context.error.code));
+    },
+    onError(context) {
+      finish(context, context.error.status || context.error.code || 'error');
+    },
+    snapshot() {
+      const copy = (entries) => Array.from(entries.values()).map((entry) => Object.assign({}, entry, { tags: Object.assign({}, entry.tags) }));
+      return { counters: copy(counters), timings: copy(timings) };
+    }
+  };
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  correlationId,
+  hookList,
+  runHooks,
+  endpointTemplate,
+  redactHeaders,
+  redactFields,
+  logger,
+  metrics
+};
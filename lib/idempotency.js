@@ -0,0 +1,67 @@
+'use strict';
+
+const { isOpen } = require('./status');
+
+/** Duplicate detection for request creation.
+ * Spoke has no idempotency header, and requests have no custom fields or metadata the API lets us set,
+ * so a key is written into the request body as a visible marker line. Candidates come from a full-text
+ * listRequests search and only count when a body line equals the marker exactly. This is best-effort:
+ * a request is missed if search has not indexed it yet or someone edits the marker line out of the body.
+ * A dedupe rule instead matches open requests on chosen fields. Either way the search runs just before
+ * the POST, so two processes racing on the same alert can still both create; calls within one client
+ * are serialized per key.
+ * @module idempotency
+ */
+
+const DEFAULT_DEDUPE_FIELDS = ['requester', 'subject', 'requestType'];
+
+// list filters supported by listRequests for each dedupe field
+const FILTERS = ['requester', 'owner', 'team', 'requestType', 'status'];
+
+/** This function builds the marker line written into the body of a request created with an idempotency key
+ * The line is shown to anyone reading the request; a match needs a body line equal to it.
+ */
+function keyMarker(key) {
+  return `Idempotency-Key: ${key}`;
+}
+
+/** This function adds the key marker to a request payload */
+function withKeyMarker(request, key) {
+  const marker = keyMarker(key);
+  return Object.assign({}, request, { body: request.body ? `${request.body}\n\n${marker}` : marker });
+}
+
+const same = (a, b) => (typeof a === 'string' && typeof b === 'string'
+  ? a.trim().toLowerCase() === b.trim().toLowerCase()
+  : JSON.stringify(a) === JSON.stringify(b));
+
+/** This function turns the dedupe option into { fields, query, matches }
+ * @param {boolean|string[]|Function} dedupe - true for requester + subject + requestType, a field list,
+ * or a predicate (candidate, request) => boolean
+ * @param {Object} request - resolved request payload
+ * @returns {Object} search plan
+ */
+function dedupePlan(dedupe, request) {
+  if (typeof dedupe === 'function') {
+    const query = {};
+    if (request.requester) query.requester = request.requester;
+    return { query, matches: (candidate) => isOpen(candidate) && dedupe(candidate, request) };
+  }
+  const fields = Array.isArray(dedupe) ? dedupe : DEFAULT_DEDUPE_FIELDS;
+  const query = {};
+  for (const field of fields) {
+    if (FILTERS.includes(field) && typeof request[field] === 'string') query[field] = request[field];
+  }
+  if (fields.includes('subject') && typeof request.subject === 'string') query.q = request.subject.trim();
+  return {
+    query,
+    matches: (candidate) => isOpen(candidate) && fields.every((field) => same(candidate[field], request[field]))
+  };
+}
+
+module.exports = {
+  DEFAULT_DEDUPE_FIELDS,
+  keyMarker,
+  withKeyMarker,
+  dedupePlan
+};
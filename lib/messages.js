@@ -0,0 +1,180 @@
+'use strict';
+
+const { getPath } = require('./export');
+const { collect } = require('./paginate');
+
+/** Request message threads: public replies, private notes and message templates.
+ * Messages are posted as a user given by ID, email or reference, or as the client's default actor.
+ * Templates interpolate `{{ path }}` placeholders from the request, with `requester`, `owner`,
+ * `team` and `requestType` replaced by their records, and `{{ path | fallback }}` for empty values.
+ * Those records come from the client's resolver cache, so rendering many messages lists each resource once.
+ * @module messages
+ */
+
+const PRIVATE = 'PRIVATE';
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+const PLACEHOLDER_TEST = /\{\{\s*[\w.]+/;
+
+// request fields holding an ID => resource with the record
+const REFERENCES = { requester: 'users', owner: 'users', team: 'teams', requestType: 'requestTypes' };
+
+/** This function builds a postMessage payload
+ * @param {string} actorId - user ID posting the message
+ * @param {string} text - message text
+ * @param {Object} [options]
+ * @param {boolean} [options.private=false] - post a private note, visible to agents only
+ * @returns {Object} payload
+ */
+function messagePayload(actorId, text, options = {}) {
+  const payload = { actor: { kind: 'User', ref: actorId }, content: { message: { text } } };
+  if (options.private) payload.privacyLevel = PRIVATE;
+  return payload;
+}
+
+/** This function interpolates a template
+ * @param {string|Function} template - text with {{ path }} placeholders, or (context) => text
+ * @param {Object} context - values the placeholders read
+ * @returns {string} text
+ */
+function renderTemplate(template, context) {
+  if (typeof template === 'function') return String(template(context));
+  return String(template).replace(PLACEHOLDER, (match, path, fallback) => {
+    let value = getPath(context, path);
+    if (Array.isArray(value)) value = value.filter((item) => item !== undefined && item !== null).join(', ');
+    if (value === undefined || value === null || value === '') return fallback === undefined ? '' : fallback;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/** spoke.messages */
+class MessagesClient {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   * @param {Object} [options]
+   * @param {string|Object} [options.actor] - user ID, email or reference that messages are posted as by default
+   * @param {Object} [options.templates] - named templates, { name: text or (context) => text }
+   */
+  constructor(spoke, options = {}) {
+    this.spoke = spoke;
+    this.actor = options.actor;
+    this.templates = Object.assign({}, options.templates);
+  }
+
+  /** This function lists one page of a request's messages
+   * @param {string} requestId
+   * @param {Object} [params] - JSON query parameter object (limit, start)
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.Array} messages
+   */
+  async list(requestId, params, options) {
+    return this.spoke.requests.listMessages(requestId, params, options);
+  }
+
+  /** This function iterates over every message of a request, following Spoke's limit/start paging
+   * @param {string} requestId
+   * @param {Object} [params] - JSON query parameter object
+   * @returns {AsyncIterator.object} messages
+   */
+  iterate(requestId, params) {
+    return this.spoke.requests.iterateMessages(requestId, params);
+  }
+
+  /** This function collects every message of a request
+   * @param {string} requestId
+   * @param {Object} [params] - JSON query parameter object
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=Infinity] - stop paging once this many messages are collected
+   * @returns {Promise.Array} messages
+   */
+  async listAll(requestId, params, options) {
+    return collect(this.iterate(requestId, params), options);
+  }
+
+  /** This function posts a public reply on a request
+   * @param {string} requestId
+   * @param {string|Object} message - text, or { template, data } to render a template first
+   * @param {Object} [options]
+   * @param {string|Object} [options.actor] - user ID, email or reference; defaults to the client's actor
+   * @param {boolean} [options.retry=false] - retry transient failures (may post the message twice)
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @example <caption>Example reply usage</caption>
+   * await spoke.messages.reply(requestId, 'Your laptop has shipped', { actor: 'it-bot@example.com' });
+   * @returns {Promise.object} message
+   */
+  async reply(requestId, message, options = {}) {
+    return this.post(requestId, message, Object.assign({}, options, { private: false }));
+  }
+
+  /** This function posts a private note on a request, visible to agents only
+   * @param {string} requestId
+   * @param {string|Object} message - text, or { template, data } to render a template first
+   * @param {Object} [options] - see reply()
+   * @returns {Promise.object} message
+   */
+  async note(requestId, message, options = {}) {
+    return this.post(requestId, message, Object.assign({}, options, { private: true }));
+  }
+
+  /** This function posts a message on a request
+   * @param {string} requestId
+   * @param {string|Object} message - text, or { template, data } to render a template first
+   * @param {Object} [options] - see reply(), plus { private, raw }
+   * @returns {Promise.object} message
+   */
+  async post(requestId, message, options = {}) {
+    const text = typeof message === 'string' ? message : await this.render(message.template, requestId, message.data);
+    return this.spoke.requests.message(requestId, text, options);
+  }
+
+  /** This function registers a named template
+   * @param {string} name
+   * @param {string|Function} template - text with {{ path }} placeholders, or (context) => text
+   * @returns {MessagesClient} this, for chaining
+   */
+  define(name, template) {
+    this.templates[name] = template;
+    return this;
+  }
+
+  /** This function renders a template with a request's fields
+   * @param {string|Function} template - name of a registered template, or the template itself
+   * (a string that is not a registered name must contain a placeholder, so a misspelled name is not posted as text)
+   * @param {string|Object} request - request ID, or a request already loaded
+   * @param {Object} [data] - extra values; these win over request fields of the same name
+   * @example <caption>Example render usage</caption>
+   * spoke.messages.define('ack', 'Hi {{ requester.displayName }}, {{ owner.displayName | someone }} will look at "{{ subject }}" shortly.');
+   * const text = await spoke.messages.render('ack', requestId);
+   * @returns {Promise.string} text
+   */
+  async render(template, request, data) {
+    let body = template;
+    if (typeof template === 'string' && Object.prototype.hasOwnProperty.call(this.templates, template)) body = this.templates[template];
+    else if (typeof template !== 'function' && !(typeof template === 'string' && PLACEHOLDER_TEST.test(template))) {
+      throw new Error(`Unknown message template: ${template}`);
+    }
+    const record = typeof request === 'string' ? (await this.spoke.requests.get(request)).toJSON() : Object.assign({}, request);
+    const context = Object.assign(record, await this._references(body, record), data);
+    return renderTemplate(body, context);
+  }
+
+  async _references(template, record) {
+    const references = {};
+    for (const field of Object.keys(REFERENCES)) {
+      const id = record[field];
+      if (typeof id !== 'string') continue;
+      if (typeof template === 'string' && !new RegExp(`\\{\\{\\s*${field}\\.`).test(template)) continue;
+      references[field] = (await this.spoke._resolver.byId(REFERENCES[field], id)) || { id };
+    }
+    return references;
+  }
+}
+
+module.exports = {
+  PRIVATE,
+  messagePayload,
+  renderTemplate,
+  MessagesClient
+};
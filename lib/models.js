@@ -0,0 +1,137 @@
+'use strict';
+
+/** Model objects returned by the resource sub-clients.
+ * Each model carries the record's fields and a hidden reference to the client that loaded it.
+ * @module models
+ */
+
+/** Base class for Spoke records */
+class Model {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client that loaded the record
+   * @param {Object} data - record as returned by the Spoke API
+   */
+  constructor(spoke, data) {
+    Object.defineProperty(this, 'spoke', { value: spoke, enumerable: false, writable: true });
+    Object.assign(this, data);
+  }
+
+  /** This function returns the record's plain fields */
+  toJSON() {
+    return Object.assign({}, this);
+  }
+}
+
+/** A Spoke request */
+class SpokeRequest extends Model {
+
+  /** This function reloads the request from the API
+   * @returns {Promise.SpokeRequest} this
+   */
+  async refresh() {
+    const fresh = await this.spoke.requests.get(this.id);
+    return Object.assign(this, fresh.toJSON());
+  }
+
+  /** This function updates the request's fields
+   * @param {Object} changes - updateRequest payload
+   * @returns {Promise.SpokeRequest} this, with the updated fields
+   */
+  async update(changes) {
+    const updated = await this.spoke.requests.update(this.id, changes);
+    return Object.assign(this, updated.toJSON());
+  }
+
+  /** This function deletes the request
+   * @returns {Promise}
+   */
+  async delete() {
+    await this.spoke.requests.delete(this.id);
+  }
+
+  /** This function adds tags to the request
+   * @param {...(string|Object)} tags - tag IDs, or { _id } / { name } objects; arrays are flattened
+   * @returns {Promise.SpokeRequest} this, with the updated tags
+   */
+  async addTags(...tags) {
+    const refs = [].concat(...tags).map((tag) => (typeof tag === 'string' ? { _id: tag } : tag));
+    const updated = await this.spoke.requests.addTags(this.id, refs);
+    return Object.assign(this, updated.toJSON());
+  }
+
+  /** This function removes one tag from the request
+   * @param {string|Object} tag - tag ID or { name } reference
+   * @returns {Promise.SpokeRequest} this, with the updated tags
+   */
+  async removeTag(tag) {
+    const updated = await this.spoke.requests.removeTag(this.id, tag);
+    return Object.assign(this, updated.toJSON());
+  }
+
+  /** This function posts a public reply on the request
+   * @param {string|Object} message - text, or { template, data } to render a message template
+   * @param {Object} [options]
+   * @param {string|Object} [options.actor] - user ID, email or reference posting the message; defaults to the client's actor
+   * @returns {Promise.object} message
+   */
+  async reply(message, options = {}) {
+    return this.spoke.messages.reply(this.id, message, options);
+  }
+
+  /** This function posts a private note on the request, visible to agents only
+   * @param {string|Object} message - text, or { template, data } to render a message template
+   * @param {Object} [options] - see reply()
+   * @returns {Promise.object} message
+   */
+  async note(message, options = {}) {
+    return this.spoke.messages.note(this.id, message, options);
+  }
+
+  /** This function lists every message on the request
+   * @returns {Promise.Array} messages
+   */
+  async messages() {
+    return this.spoke.messages.listAll(this.id);
+  }
+}
+
+/** A Spoke team */
+class Team extends Model {
+
+  /** This function updates the team's fields
+   * @param {Object} changes - updateTeam payload
+   * @returns {Promise.Team} this, with the updated fields
+   */
+  async update(changes) {
+    const updated = await this.spoke.teams.update(this.id, changes);
+    return Object.assign(this, updated.toJSON());
+  }
+
+  /** This function replaces the team's delegation settings
+   * @param {Object} delegation - { strategy, specifiedUser, excludedUsers }; users may be IDs or emails
+   * @returns {Promise.Team} this, with the updated settings
+   */
+  async setDelegation(delegation) {
+    return this.update({ settings: { delegation } });
+  }
+}
+
+/** A Spoke user */
+class User extends Model {}
+
+/** A Spoke tag */
+class Tag extends Model {}
+
+/** A Spoke request type */
+class RequestType extends Model {}
+
+module.exports = {
+  Model,
+  SpokeRequest,
+  Team,
+  User,
+  Tag,
+  RequestType
+};
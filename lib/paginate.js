@@ -0,0 +1,60 @@
+'use strict';
+
+/** Offset paging over Spoke list endpoints.
+ * Spoke pages list results with the `limit` and `start` query parameters and returns
+ * the page in `body.results`.
+ * @module paginate
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+
+/** This function walks a Spoke list endpoint page by page and yields each result
+ * When the endpoint reports a `total`, paging stops once `start` reaches it (or on an empty page), since
+ * the server may cap pages below the requested `limit`. Without a `total`, a short page is the last one.
+ * @param {Function} listPage - function taking a query object and resolving a got response
+ * @param {Object} [params] - JSON query parameter object, as accepted by the list method
+ * @param {number} [params.limit=25] - page size
+ * @param {number} [params.start=0] - offset of the first result
+ * @yields {Object} result - a single result object from `body.results`
+ */
+async function* paginate(listPage, params = {}) {
+  const limit = Number(params.limit) || DEFAULT_PAGE_SIZE;
+  let start = Number(params.start) || 0;
+
+  while (true) {
+    const response = await listPage(Object.assign({}, params, { limit, start }));
+    const body = response.body || {};
+    const results = body.results || [];
+    for (const result of results) yield result;
+
+    start += results.length;
+    if (!results.length) return;
+    if (typeof body.total === 'number') {
+      if (start >= body.total) return;
+    } else if (results.length < limit) {
+      return;
+    }
+  }
+}
+
+/** This function collects every item of an async iterable into an array
+ * @param {AsyncIterable} iterable - e.g. the iterator returned by paginate()
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=Infinity] - stop after collecting this many items
+ * @returns {Promise.Array} items
+ */
+async function collect(iterable, { maxItems = Infinity } = {}) {
+  const items = [];
+  if (maxItems <= 0) return items;
+  for await (const item of iterable) {
+    items.push(item);
+    if (items.length >= maxItems) break;
+  }
+  return items;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  paginate,
+  collect
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+const fs = require('fs');
+const Spoke = require('./askspoke');
+const { SpokeResolveError } = require('./errors');
+const { isOpen } = require('./status');
+
+/** Several Spoke workspaces behind one object.
+ * A pool is configured with named workspaces, each a set of Spoke constructor options (credentials,
+ * baseUrl, retry, timeout, and defaults such as team and actor) merged over shared defaults.
+ * Clients are created on first use and shared afterwards.
+ * @module pool
+ */
+
+const STATUS_RESOLVED = 'RESOLVED';
+
+/** This function builds the last line of a copied message, naming the message it was copied from */
+function copyMarker(workspace, messageId) {
+  return `Copied-From: ${workspace} message ${messageId}`;
+}
+
+/** This class hands out one shared Spoke client per named workspace */
+class SpokePool {
+
+  /**
+   * @constructor
+   * @param {Object} config
+   * @param {Object} config.workspaces - { name: Spoke options }
+   * @param {Object} [config.defaults] - Spoke options shared by every workspace (a workspace's own options win)
+   * @param {string} [config.default] - workspace returned by get() without a name
+   * @param {Function} [Client=Spoke] - client class, for subclasses of Spoke
+   * @example <caption>Example SpokePool usage</caption>
+   * const pool = new SpokePool({
+   *   defaults: { retry: 5, timeout: 10000 },
+   *   workspaces: {
+   *     it: { secretPrefix: 'spoke/it', team: { name: 'Information Technology' }, actor: 'it-bot@example.com' },
+   *     people: { apiKeyEnv: 'SPOKE_PEOPLE_KEY', team: { name: 'People Ops' } }
+   *   }
+   * });
+   * await pool.get('it').postRequest({ subject: 'New laptop', requester: 'ada@example.com' });
+   */
+  constructor(config, Client) {
+    if (!config || !config.workspaces || !Object.keys(config.workspaces).length) {
+      throw new Error('A SpokePool config needs at least one workspace');
+    }
+    if (config.default !== undefined && !config.workspaces[config.default]) {
+      throw new Error(`Default workspace ${config.default} is not configured`);
+    }
+    this.config = config;
+    this.Client = Client || Spoke;
+    this._clients = new Map();
+  }
+
+  /** This function creates a pool from a JSON config file
+   * @param {string} file - path to a JSON file with { defaults, workspaces, default }
+   * @param {Function} [Client=Spoke] - client class
+   * @returns {SpokePool}
+   */
+  static fromFile(file, Client) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load SpokePool config ${file}: ${error.message}`);
+    }
+    return new SpokePool(config, Client);
+  }
+
+  /** This function lists the configured workspace names
+   * @returns {string[]}
+   */
+  names() {
+    return Object.keys(this.config.workspaces);
+  }
+
+  /** This function returns the shared client for a workspace, creating it on first use
+   * @param {string} [name] - workspace name; the configured default when omitted
+   * @returns {Spoke}
+   */
+  get(name = this.config.default) {
+    if (name === undefined) throw new Error('No workspace given and the SpokePool has no default');
+    if (!Object.prototype.hasOwnProperty.call(this.config.workspaces, name)) {
+      throw new Error(`Unknown Spoke workspace ${name} (configured: ${this.names().join(', ')})`);
+    }
+    if (!this._clients.has(name)) {
+      const options = Object.assign({}, this.config.defaults, this.config.workspaces[name]);
+      this._clients.set(name, new this.Client(options));
+    }
+    return this._clients.get(name);
+  }
+
+  /** This function runs an operation against every workspace at once
+   * @param {Function} fn - async (spoke, name) => result
+   * @returns {Promise.object} results by workspace name
+   */
+  async map(fn) {
+    const names = this.names();
+    const results = await Promise.all(names.map((name) => fn(this.get(name), name)));
+    return names.reduce((byName, name, i) => Object.assign(byName, { [name]: results[i] }), {});
+  }
+
+  /** This function moves a request to another workspace, copying its subject, body, tags and messages
+   * Users are matched between workspaces by email. A message whose author has no account in the target
+   * is posted by the fallback actor with an attribution line. The copy is created with an idempotency key
+   * naming both workspaces, and each copied message ends with a Copied-From line naming its source message,
+   * so a move that failed part way can simply be run again and only copies what is missing.
+   * @param {string} requestId - request ID in the source workspace
+   * @param {Object} options
+   * @param {string} options.from - source workspace name
+   * @param {string} options.to - target workspace name
+   * @param {string|Object} [options.team] - target team; defaults to the target workspace's team option
+   * @param {string|Object} [options.requester] - target requester when the original has no account there
+   * @param {string|Object} [options.actor] - target user posting messages whose author has no account there;
+   * defaults to the target workspace's actor option, then the requester
+   * @param {boolean} [options.createTags=true] - create tags the target workspace does not have yet
+   * @param {string} [options.source=resolve] - what happens to the original: 'resolve' (a private note pointing
+   * to the copy, then status RESOLVED), 'delete' or 'keep'
+   * @example <caption>Example moveRequest usage</caption>
+   * const { request } = await pool.moveRequest(requestId, { from: 'it', to: 'people' });
+   * @returns {Promise.object} { outcome, request, from: { workspace, id }, to: { workspace, id }, tags, messages }
+   */
+  async moveRequest(requestId, options = {}) {
+    const { from, to } = options;
+    if (from === to) throw new Error('A request can only be moved between two different workspaces');
+    const source = this.get(from);
+    const target = this.get(to);
+
+    const original = await source.requests.get(requestId);
+    const thread = await source.messages.listAll(requestId);
+    const sourceUsers = new Map((await source.listAll('users', {})).map((user) => [user.id, user]));
+    const targetUsers = await target.listAll('users', {});
+    const mapUser = (id) => {
+      const user = sourceUsers.get(id);
+      if (!user || !user.email) return undefined;
+      const match = targetUsers.find((candidate) => candidate.email && candidate.email.toLowerCase() === user.email.toLowerCase());
+      return match ? match.id : undefined;
+    };
+
+    const requester = mapUser(original.requester) || (options.requester && await target._resolver.id('users', options.requester));
+    if (!requester) {
+      const user = sourceUsers.get(original.requester);
+      const reference = user ? user.email || user.displayName : original.requester;
+      throw new SpokeResolveError(`Requester ${reference} of request ${requestId} has no user in workspace ${to}; pass a requester`, {
+        resource: 'users',
+        reference
+      });
+    }
+    const payload = { subject: original.subject, requester };
+    if (original.body) payload.body = original.body;
+    if (options.team !== undefined) payload.team = options.team;
+    const owner = original.owner && mapUser(original.owner);
+    if (owner) payload.owner = owner;
+    if (original.privacyLevel) payload.privacyLevel = original.privacyLevel;
+    const { outcome, request } = await target.requests.createOnce(payload, { idempotencyKey: `${from}:${requestId}:${to}` });
+
+    const names = (await source.tags.lookup((original.tags || []).map((_id) => ({ _id }))))
+      .map((tag) => tag.name)
+      .filter((name) => typeof name === 'string');
+    const { tags } = await target.requests.setTags(request.id, names, { create: options.createTags !== false });
+
+    // the pointer note is the last thing a move writes, so it is never copied when a move is run again
+    const pointer = `Moved to the ${to} workspace as request ${request.id}.`;
+    const textOf = (message) => (message.content && message.content.message ? message.content.message.text : '');
+    const copied = new Set((await target.messages.listAll(request.id)).map((message) => textOf(message).split('\n').pop()));
+    const pending = thread.filter((message) => textOf(message) !== pointer && !copied.has(copyMarker(from, message.id)));
+    const fallback = options.actor || target.messages.actor || requester;
+    for (const message of pending) {
+      const text = `${textOf(message)}\n\n${copyMarker(from, message.id)}`;
+      const author = message.actor && message.actor.ref;
+      const actor = mapUser(author);
+      const user = sourceUsers.get(author);
+      const attribution = `${user ? user.displayName || user.email : 'Unknown user'} wrote:\n\n`;
+      await target.requests.message(request.id, actor ? text : `${attribution}${text}`, {
+        actor: actor || fallback,
+        private: message.privacyLevel === 'PRIVATE'
+      });
+    }
+
+    if (options.source === 'delete') {
+      await source.requests.delete(requestId);
+    } else if (options.source !== 'keep' && isOpen(original)) {
+      await source.requests.message(requestId, pointer, {
+        actor: source.messages.actor || original.requester,
+        private: true
+      });
+      await source.requests.update(requestId, { status: STATUS_RESOLVED });
+    }
+
+    return {
+      outcome,
+      request: await request.refresh(),
+      from: { workspace: from, id: requestId },
+      to: { workspace: to, id: request.id },
+      tags,
+      messages: pending.length
+    };
+  }
+}
+
+module.exports = {
+  SpokePool
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+/** Per-key serialization of async work within one client.
+ * Read-modify-writes (task arrays, team delegation, request tags, createOnce lookups) queue their
+ * work under a key so that calls on the same record run one at a time, in call order.
+ * @module queue
+ */
+
+/** This class runs async functions one at a time per key */
+class KeyedQueue {
+  constructor() {
+    this._tails = new Map();
+  }
+
+  /** This function runs fn once every earlier call queued under the same key has settled
+   * A failure only rejects its own caller; the next call in line still runs.
+   * @param {string} key
+   * @param {Function} fn - async () => result
+   * @returns {Promise.*} fn's result
+   */
+  run(key, fn) {
+    const previous = this._tails.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+    const settled = run.catch(() => {});
+    this._tails.set(key, settled);
+    settled.then(() => {
+      if (this._tails.get(key) === settled) this._tails.delete(key);
+    });
+    return run;
+  }
+}
+
+module.exports = {
+  KeyedQueue
+};
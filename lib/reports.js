@@ -0,0 +1,294 @@
+'use strict';
+
+const { csvCell, createdWindow } = require('./export');
+const { isOpen } = require('./status');
+const resolvers = require('./resolvers');
+
+/** Service-level reporting over request history.
+ * Requests are paged from listRequests (once per team when several are given), measured one by one,
+ * and summarized per team, request type and owner. Durations are milliseconds in the report objects
+ * and hours in the CSV rows. Spoke requests carry no resolution timestamp of their own, so a closed
+ * request's `resolvedAt` or `closedAt` is used when present and its `updatedAt` otherwise.
+ * @module reports
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** Open backlog age buckets: a request falls in the first bucket whose max its age is below */
+const DEFAULT_BUCKETS = [
+  { label: '<1d', max: DAY },
+  { label: '1-3d', max: 3 * DAY },
+  { label: '3-7d', max: 7 * DAY },
+  { label: '7-30d', max: 30 * DAY },
+  { label: '30d+', max: Infinity }
+];
+
+// request field => report key
+const GROUPS = { team: 'byTeam', requestType: 'byRequestType', owner: 'byOwner' };
+
+const NONE = '(none)';
+
+/** This function returns the p-th percentile (0-1) with linear interpolation between ranks,
+ * as spreadsheets' PERCENTILE.INC does; null for no values
+ * @param {number[]} values
+ * @param {number} p
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = (sorted.length - 1) * p;
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+/** This function returns when a closed request was resolved, or undefined while it is open */
+function resolvedAt(request) {
+  if (isOpen(request)) return undefined;
+  const time = Date.parse(request.resolvedAt || request.closedAt || request.updatedAt);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/** This function returns when someone other than the requester first posted on a request */
+function firstResponseAt(request, messages) {
+  const created = Date.parse(request.createdAt);
+  const times = messages
+    .filter((message) => !(message.actor && message.actor.ref === request.requester))
+    .map((message) => Date.parse(message.createdAt))
+    .filter((time) => !Number.isNaN(time) && !(time < created));
+  return times.length ? Math.min(...times) : undefined;
+}
+
+/** This function measures one request
+ * @param {Object} request - request, with a `messages` array when first responses are measured
+ * @param {Object} options - { now, sla }
+ * @returns {Object} { id, subject, status, team, requestType, owner, open, age, resolution, firstResponse, breaches }
+ */
+function measure(request, options) {
+  const now = options.now.getTime();
+  const created = Date.parse(request.createdAt);
+  const open = isOpen(request);
+  const resolved = resolvedAt(request);
+  const measured = {
+    id: request.id,
+    subject: request.subject,
+    status: request.status,
+    team: request.team || null,
+    requestType: request.requestType || null,
+    owner: request.owner || null,
+    open,
+    age: open && !Number.isNaN(created) ? now - created : null,
+    resolution: resolved !== undefined && !Number.isNaN(created) ? resolved - created : null,
+    firstResponse: null,
+    breaches: []
+  };
+  if (Array.isArray(request.messages)) {
+    const responded = firstResponseAt(request, request.messages);
+    if (responded !== undefined) measured.firstResponse = responded - created;
+  }
+
+  const sla = options.sla || {};
+  const limit = (target) => (typeof target === 'function' ? target(request) : target);
+  const resolutionLimit = limit(sla.resolution);
+  const resolutionElapsed = open ? measured.age : measured.resolution;
+  if (resolutionLimit !== undefined && resolutionElapsed !== null && resolutionElapsed > resolutionLimit) {
+    measured.breaches.push({ kind: 'resolution', elapsed: resolutionElapsed, limit: resolutionLimit });
+  }
+  const responseLimit = limit(sla.firstResponse);
+  if (responseLimit !== undefined && Array.isArray(request.messages) && !Number.isNaN(created)) {
+    let elapsed = measured.firstResponse;
+    if (elapsed === null && open) elapsed = now - created;
+    if (elapsed !== null && elapsed > responseLimit) measured.breaches.push({ kind: 'firstResponse', elapsed, limit: responseLimit });
+  }
+  return measured;
+}
+
+/** This function summarizes a set of measured requests */
+function metrics(measured, buckets) {
+  const resolutions = measured.map((item) => item.resolution).filter((value) => value !== null);
+  const responses = measured.map((item) => item.firstResponse).filter((value) => value !== null);
+  const backlog = {};
+  for (const bucket of buckets) backlog[bucket.label] = 0;
+  for (const item of measured) {
+    if (item.age === null) continue;
+    const bucket = buckets.find((candidate) => item.age < candidate.max) || buckets[buckets.length - 1];
+    backlog[bucket.label]++;
+  }
+  return {
+    total: measured.length,
+    open: measured.filter((item) => item.open).length,
+    resolved: resolutions.length,
+    resolution: { median: percentile(resolutions, 0.5), p90: percentile(resolutions, 0.9) },
+    firstResponse: { median: percentile(responses, 0.5), p90: percentile(responses, 0.9) },
+    backlog,
+    breaches: measured.filter((item) => item.breaches.length).length
+  };
+}
+
+/** This function computes the report from requests already loaded
+ * @param {Array} requests - request objects, each with a `messages` array when first responses are measured
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - time backlog ages and open SLA breaches are measured at
+ * @param {Object} [options.sla] - { resolution, firstResponse } limits in milliseconds, or (request) => milliseconds
+ * @param {Object[]} [options.buckets] - backlog age buckets, { label, max } in milliseconds, ascending
+ * @param {Object} [options.names] - { teams, requestTypes, users }: Maps from ID to record, for group names
+ * @param {string[]} [options.teams] - team IDs to list even when they have no requests
+ * @returns {Object} report - { generatedAt, totals, byTeam, byRequestType, byOwner, breaches }
+ */
+function analyzeRequests(requests, options = {}) {
+  const settings = Object.assign({}, options, { now: options.now || new Date() });
+  const buckets = options.buckets || DEFAULT_BUCKETS;
+  const names = options.names || {};
+  const measured = requests.map((request) => measure(request, settings));
+  const lookup = {
+    team: [names.teams, (record) => record.name],
+    requestType: [names.requestTypes, (record) => record.title || record.name],
+    owner: [names.users, (record) => record.displayName || record.email]
+  };
+
+  const report = {
+    generatedAt: settings.now.toISOString(),
+    totals: metrics(measured, buckets)
+  };
+  for (const field of Object.keys(GROUPS)) {
+    const groups = new Map();
+    if (field === 'team') for (const id of options.teams || []) groups.set(id, []);
+    for (const item of measured) {
+      if (!groups.has(item[field])) groups.set(item[field], []);
+      groups.get(item[field]).push(item);
+    }
+    const [records, nameOf] = lookup[field];
+    report[GROUPS[field]] = Array.from(groups, ([key, items]) => {
+      const record = key !== null && records ? records.get(key) : undefined;
+      return Object.assign({ key, name: key === null ? NONE : (record && nameOf(record)) || key }, metrics(items, buckets));
+    }).sort((a, b) => b.total - a.total || String(a.name).localeCompare(String(b.name)));
+  }
+  report.breaches = [];
+  for (const item of measured) {
+    for (const breach of item.breaches) {
+      report.breaches.push(Object.assign({
+        id: item.id,
+        subject: item.subject,
+        status: item.status,
+        team: item.team,
+        requestType: item.requestType,
+        owner: item.owner
+      }, breach));
+    }
+  }
+  report.breaches.sort((a, b) => (b.elapsed - b.limit) - (a.elapsed - a.limit));
+  return report;
+}
+
+/** This function pages through requests and computes a service-level report
+ * @param {Spoke} spoke
+ * @param {Object} [filters] - listRequests query; team may be a list of IDs or names, and owner, requester and requestType may be references
+ * @param {Object} [options] - see analyzeRequests, plus:
+ * @param {Date|string} [options.since] - only requests created at or after this time (see createdWindow in lib/export.js)
+ * @param {Date|string} [options.until] - only requests created before this time
+ * @param {boolean} [options.includeMessages=false] - fetch message threads to measure time to first response
+ * @returns {Promise.object} report, with `since` and `until`
+ */
+async function serviceReport(spoke, filters = {}, options = {}) {
+  const { since, until, query: createdFilters, contains } = createdWindow(options);
+  const index = async (resource) => new Map((await spoke.listAll(resource, {})).map((record) => [record.id, record]));
+  const names = { teams: await index('teams'), requestTypes: await index('requestTypes'), users: await index('users') };
+
+  const query = Object.assign({}, filters);
+  const teams = [];
+  for (const team of query.team === undefined ? [] : [].concat(query.team)) {
+    if (typeof team === 'string' && !names.teams.has(team)) teams.push((await spoke._resolver.resolve('teams', team)).id);
+    else teams.push(await spoke._resolver.id('teams', team));
+  }
+  delete query.team;
+  Object.assign(query, await resolvers.resolveRequestPayload(spoke._resolver, query), createdFilters);
+
+  const requests = [];
+  const seen = new Set();
+  for (const team of teams.length ? teams : [undefined]) {
+    const page = team === undefined ? query : Object.assign({}, query, { team });
+    for await (const request of spoke.iterateRequests(page)) {
+      if (seen.has(request.id)) continue;
+      if (!contains(request)) continue;
+      seen.add(request.id);
+      const record = Object.assign({}, request);
+      if (options.includeMessages) {
+        record.messages = [];
+        for await (const message of spoke.requests.iterateMessages(request.id)) record.messages.push(message);
+      }
+      requests.push(record);
+    }
+  }
+
+  const report = analyzeRequests(requests, Object.assign({}, options, { names, teams }));
+  return Object.assign({
+    since: since ? since.toISOString() : null,
+    until: until ? until.toISOString() : null
+  }, report);
+}
+
+const hours = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / HOUR * 100) / 100);
+
+/** This function flattens one section of a report into rows for CSV or a spreadsheet, with durations in hours
+ * @param {Object} report
+ * @param {string} [section=byTeam] - 'byTeam', 'byRequestType', 'byOwner', 'totals' or 'breaches'
+ * @returns {Object[]} rows
+ */
+function reportRows(report, section = 'byTeam') {
+  if (section === 'breaches') {
+    return report.breaches.map((breach) => ({
+      id: breach.id,
+      subject: breach.subject,
+      status: breach.status,
+      team: breach.team,
+      requestType: breach.requestType,
+      owner: breach.owner,
+      kind: breach.kind,
+      elapsedHours: hours(breach.elapsed),
+      limitHours: hours(breach.limit)
+    }));
+  }
+  const groups = section === 'totals' ? [Object.assign({ key: null, name: 'total' }, report.totals)] : report[section];
+  if (!Array.isArray(groups)) throw new Error(`Unknown report section: ${section}`);
+  return groups.map((group) => {
+    const row = {
+      key: group.key,
+      name: group.name,
+      total: group.total,
+      open: group.open,
+      resolved: group.resolved,
+      resolutionMedianHours: hours(group.resolution.median),
+      resolutionP90Hours: hours(group.resolution.p90),
+      firstResponseMedianHours: hours(group.firstResponse.median),
+      firstResponseP90Hours: hours(group.firstResponse.p90)
+    };
+    for (const label of Object.keys(group.backlog)) row[`backlog ${label}`] = group.backlog[label];
+    row.breaches = group.breaches;
+    return row;
+  });
+}
+
+/** This function renders one section of a report as CSV
+ * @param {Object} report
+ * @param {string} [section=byTeam] - see reportRows
+ * @returns {string} CSV text with a header line
+ */
+function reportCsv(report, section) {
+  const rows = reportRows(report, section);
+  if (!rows.length) return '';
+  const headers = Object.keys(rows[0]);
+  return [headers].concat(rows.map((row) => headers.map((header) => row[header])))
+    .map((cells) => `${cells.map(csvCell).join(',')}\r\n`)
+    .join('');
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  percentile,
+  analyzeRequests,
+  serviceReport,
+  reportRows,
+  reportCsv
+};
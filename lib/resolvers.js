@@ -0,0 +1,163 @@
+'use strict';
+
+const { SpokeResolveError } = require('./errors');
+
+/** Name-based lookup of teams, users, tags and request types.
+ * @module resolvers
+ */
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+// resource => fields compared (case-insensitively, in full) against a reference
+const MATCH_FIELDS = {
+  teams: ['name'],
+  users: ['email', 'displayName'],
+  tags: ['name'],
+  requestTypes: ['title', 'name']
+};
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/** This class resolves human-readable references to Spoke records and caches the results */
+class Resolver {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client used for the list calls
+   * @param {Object} [options]
+   * @param {number} [options.ttl=300000] - cache lifetime in milliseconds (0 disables caching)
+   */
+  constructor(spoke, options = {}) {
+    this.spoke = spoke;
+    this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+    this._cache = new Map();
+    this._listings = new Map();
+  }
+
+  /** This function finds the single record whose name (or email) matches the reference exactly
+   * @param {string} resource - 'teams', 'users', 'tags' or 'requestTypes'
+   * @param {string} reference - name, email or title
+   * @returns {Promise.object} record
+   * @throws {SpokeResolveError} when zero or several records match
+   */
+  async resolve(resource, reference) {
+    const key = `${resource}:${normalize(reference)}`;
+    const cached = this._cache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.value;
+
+    const fields = MATCH_FIELDS[resource];
+    const candidates = await this.spoke.listAll(resource, { q: String(reference).trim() });
+    const matches = candidates.filter((record) => fields.some((field) => {
+      return record[field] !== undefined && normalize(record[field]) === normalize(reference);
+    }));
+
+    if (matches.length !== 1) {
+      const problem = matches.length ? `${matches.length} ${resource} match` : `No ${resource} match`;
+      throw new SpokeResolveError(`${problem} "${reference}"`, { resource, reference, matches });
+    }
+    if (this.ttl > 0) this._cache.set(key, { value: matches[0], expires: Date.now() + this.ttl });
+    return matches[0];
+  }
+
+  /** This function turns a reference into a record ID
+   * Strings are taken as IDs, except user references containing '@', which are looked up by email.
+   * Objects with an `id` or `_id` are taken as-is; objects with `name`, `email` or `title` are looked up.
+   * @param {string} resource - 'teams', 'users', 'tags' or 'requestTypes'
+   * @param {string|Object} ref
+   * @returns {Promise.string} id
+   */
+  async id(resource, ref) {
+    if (ref === undefined || ref === null) return ref;
+    if (typeof ref === 'string') {
+      if (resource === 'users' && ref.includes('@')) return (await this.resolve(resource, ref)).id;
+      return ref;
+    }
+    if (ref.id || ref._id) return ref.id || ref._id;
+    const reference = ref.name || ref.email || ref.title || ref.displayName;
+    if (!reference) throw new SpokeResolveError(`Cannot resolve ${resource} reference ${JSON.stringify(ref)}`, { resource });
+    return (await this.resolve(resource, reference)).id;
+  }
+
+  /** This function finds a record by ID, listing the resource at most once per cache lifetime
+   * The listing is cached as a whole, so an ID missing from it stays unknown until the cache expires or is cleared.
+   * Concurrent lookups on the same resource share one listing.
+   * @param {string} resource - 'teams', 'users', 'tags' or 'requestTypes'
+   * @param {string} id
+   * @returns {Promise.object} record, or undefined when no record has the ID
+   */
+  async byId(resource, id) {
+    const key = `${resource}#`;
+    const cached = this._cache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.value.get(id);
+
+    if (!this._listings.has(resource)) {
+      const listing = this.spoke.listAll(resource, {}).then((records) => {
+        const byId = new Map(records.map((record) => [record.id, record]));
+        if (this.ttl > 0) this._cache.set(key, { value: byId, expires: Date.now() + this.ttl });
+        return byId;
+      });
+      this._listings.set(resource, listing);
+      listing.then(() => this._listings.delete(resource), () => this._listings.delete(resource));
+    }
+    return (await this._listings.get(resource)).get(id);
+  }
+
+  /** This function drops every cached lookup */
+  clear() {
+    this._cache.clear();
+  }
+}
+
+/** This function replaces human-readable references in a request payload (postRequest/updateRequest) with IDs
+ * @param {Resolver} resolver
+ * @param {Object} params - request payload
+ * @returns {Promise.object} copy of the payload with requester, owner, team and requestType resolved
+ */
+async function resolveRequestPayload(resolver, params) {
+  if (!params) return params;
+  const resolved = Object.assign({}, params);
+  const fields = { requester: 'users', owner: 'users', team: 'teams', requestType: 'requestTypes' };
+  for (const field of Object.keys(fields)) {
+    if (resolved[field] !== undefined) resolved[field] = await resolver.id(fields[field], resolved[field]);
+  }
+  return resolved;
+}
+
+/** This function replaces human-readable user references in a team payload (updateTeam) with IDs
+ * @param {Resolver} resolver
+ * @param {Object} params - team payload
+ * @returns {Promise.object} copy of the payload with delegation users resolved
+ */
+async function resolveTeamPayload(resolver, params) {
+  const delegation = params && params.settings && params.settings.delegation;
+  if (!delegation) return params;
+  const resolvedDelegation = Object.assign({}, delegation);
+  for (const field of ['specifiedUser', 'specificUser']) {
+    if (resolvedDelegation[field] !== undefined) resolvedDelegation[field] = await resolver.id('users', resolvedDelegation[field]);
+  }
+  if (Array.isArray(resolvedDelegation.excludedUsers)) {
+    resolvedDelegation.excludedUsers = await Promise.all(resolvedDelegation.excludedUsers.map((user) => resolver.id('users', user)));
+  }
+  return Object.assign({}, params, {
+    settings: Object.assign({}, params.settings, { delegation: resolvedDelegation })
+  });
+}
+
+/** This function replaces tag references in an addTags payload with { _id } objects
+ * @param {Resolver} resolver
+ * @param {Object} params - addTags payload, { tags: [{ _id } | { name }] }
+ * @returns {Promise.object} copy of the payload with every tag as { _id }
+ */
+async function resolveTagsPayload(resolver, params) {
+  if (!params || !Array.isArray(params.tags)) return params;
+  const tags = await Promise.all(params.tags.map(async (tag) => ({ _id: await resolver.id('tags', tag) })));
+  return Object.assign({}, params, { tags });
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  Resolver,
+  resolveRequestPayload,
+  resolveTeamPayload,
+  resolveTagsPayload
+};
@@ -0,0 +1,432 @@
+'use strict';
+
+const { paginate, collect } = require('./paginate');
+const resolvers = require('./resolvers');
+const { assertValid } = require('./validation');
+const idempotency = require('./idempotency');
+const { messagePayload } = require('./messages');
+const { RequestTypeSchema } = require('./forms');
+const { SpokeResolveError } = require('./errors');
+const { KeyedQueue } = require('./queue');
+const { SpokeRequest, Team, User, Tag, RequestType } = require('./models');
+
+/** Resource-oriented sub-clients (spoke.requests, spoke.teams, spoke.users, spoke.tags, spoke.requestTypes).
+ * Every method resolves model objects; pass { raw: true } to get the got response with status and headers instead.
+ * Methods that call Spoke also accept { hooks } for hooks that apply to that call only (see lib/hooks.js).
+ * @module resources
+ */
+
+/** Base class for a Spoke collection endpoint */
+class ResourceClient {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   * @param {Object} config
+   * @param {string} config.resource - resolver/listAll resource name
+   * @param {string} config.endpoint - collection path (appended to hostname URL)
+   * @param {Function} config.Model - model class for records
+   */
+  constructor(spoke, { resource, endpoint, Model }) {
+    this.spoke = spoke;
+    this.resource = resource;
+    this.endpoint = endpoint;
+    this.Model = Model;
+  }
+
+  /** This function lists one page of records
+   * @param {Object} [params] - JSON query parameter object
+   * @param {Object} [options]
+   * @param {boolean} [options.raw=false] - resolve the got response instead of models
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @returns {Promise.Array} models
+   */
+  async list(params, options = {}) {
+    const response = await this.spoke.request({ method: 'GET', endpoint: this.endpoint, searchParams: params, hooks: options.hooks });
+    if (options.raw) return response;
+    return (response.body.results || []).map((record) => this.model(record));
+  }
+
+  /** This function iterates over every record matching the query, following Spoke's limit/start paging
+   * @param {Object} [params] - JSON query parameter object
+   * @returns {AsyncIterator.Model}
+   */
+  async* iterate(params) {
+    const pages = paginate((query) => this.list(query, { raw: true }), params);
+    for await (const record of pages) yield this.model(record);
+  }
+
+  /** This function collects every record matching the query
+   * @param {Object} [params] - JSON query parameter object
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=Infinity] - stop paging once this many records are collected
+   * @returns {Promise.Array} models
+   */
+  async listAll(params, options) {
+    return collect(this.iterate(params), options);
+  }
+
+  /** This function finds the single record matching a name, email or title exactly
+   * @param {string} reference
+   * @returns {Promise.Model}
+   */
+  async resolve(reference) {
+    return this.model(await this.spoke._resolver.resolve(this.resource, reference));
+  }
+
+  model(record) {
+    return new this.Model(this.spoke, record);
+  }
+
+  _result(response, options) {
+    return options.raw ? response : this.model(response.body);
+  }
+}
+
+/** spoke.requests */
+class RequestsClient extends ResourceClient {
+  constructor(spoke) {
+    super(spoke, { resource: 'requests', endpoint: 'requests', Model: SpokeRequest });
+    this._queue = new KeyedQueue();
+  }
+
+  /** This function gets one request
+   * @param {string} requestId
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.SpokeRequest}
+   */
+  async get(requestId, options = {}) {
+    const response = await this.spoke.request({ method: 'GET', endpoint: `requests/${requestId}`, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function creates a request
+   * @param {Object} request - postRequest payload; requester, owner, team and requestType may be references;
+   * team defaults to the client's team option
+   * @param {Object} [options] - { raw, retry, hooks }
+   * @returns {Promise.SpokeRequest}
+   */
+  async create(request, options = {}) {
+    request = this._withDefaults(request);
+    assertValid('request', request, this.spoke._validation, { method: 'POST', endpoint: 'requests' });
+    const json = await resolvers.resolveRequestPayload(this.spoke._resolver, request);
+    const response = await this.spoke.request({ method: 'POST', endpoint: 'requests', json, retry: options.retry, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function creates a request unless it already exists
+   * With an idempotency key the key is written into the request body and existing requests are found by
+   * searching for it; with a dedupe rule an open request with the same field values counts as existing.
+   * @param {Object} request - postRequest payload; requester, owner, team and requestType may be references
+   * @param {Object} options
+   * @param {string} [options.idempotencyKey] - key identifying this request (e.g. the alert ID); written into the
+   * body as a visible `Idempotency-Key:` line and found again by search, so matching is best-effort
+   * @param {boolean|string[]|Function} [options.dedupe] - true (same requester, subject and request type),
+   * a list of fields to compare, or a predicate (candidate, request) => boolean; only open requests match
+   * @param {string} [options.onDuplicate=return] - 'return' the existing request, or 'note' to post a message on it
+   * @param {string|Function} [options.note] - message text, or (existing, request) => text, for onDuplicate 'note'
+   * @param {string|Object} [options.actor] - user posting the note (defaults to the requester)
+   * @param {boolean} [options.raw=false] - resolve the got response, with `outcome` (and `message`) added
+   * @param {boolean} [options.retry=false]
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @example <caption>Example createOnce usage</caption>
+   * const { outcome, request } = await spoke.requests.createOnce(payload, { idempotencyKey: alert.id, onDuplicate: 'note' });
+   * @returns {Promise.object} { outcome: 'created'|'matched'|'updated', request, message }
+   */
+  async createOnce(request, options = {}) {
+    if (!options.idempotencyKey && !options.dedupe) throw new Error('createOnce needs an idempotencyKey or a dedupe rule');
+    request = this._withDefaults(request);
+    assertValid('request', request, this.spoke._validation, { method: 'POST', endpoint: 'requests' });
+    const resolved = await resolvers.resolveRequestPayload(this.spoke._resolver, request);
+    const plan = options.idempotencyKey ? undefined : idempotency.dedupePlan(options.dedupe, resolved);
+    const lock = options.idempotencyKey ? `key:${options.idempotencyKey}` : `dedupe:${JSON.stringify(plan.query)}`;
+
+    return this._queue.run(lock, async () => {
+      const existing = await this._findExisting(plan, options);
+      if (!existing) {
+        const json = options.idempotencyKey ? idempotency.withKeyMarker(resolved, options.idempotencyKey) : resolved;
+        const response = await this.spoke.request({ method: 'POST', endpoint: 'requests', json, retry: options.retry, hooks: options.hooks });
+        return this._outcome('created', response, undefined, options);
+      }
+
+      let message;
+      if (options.onDuplicate === 'note') {
+        const text = typeof options.note === 'function' ? await options.note(existing, request) : options.note ||
+          `The same request was submitted again${request.body ? `:\n\n${request.body}` : '.'}`;
+        message = await this.message(existing.id, text, { actor: options.actor || resolved.requester, hooks: options.hooks });
+      }
+      const response = await this.get(existing.id, { raw: true, hooks: options.hooks });
+      return this._outcome(message ? 'updated' : 'matched', response, message, options);
+    });
+  }
+
+  /** This function updates a request
+   * @param {string} requestId
+   * @param {Object} changes - updateRequest payload; requester, owner, team and requestType may be references
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.SpokeRequest}
+   */
+  async update(requestId, changes, options = {}) {
+    assertValid('requestUpdate', changes, this.spoke._validation, { method: 'PATCH', endpoint: `requests/${requestId}` });
+    const json = await resolvers.resolveRequestPayload(this.spoke._resolver, changes);
+    const response = await this.spoke.request({ method: 'PATCH', endpoint: `requests/${requestId}`, json, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function deletes a request
+   * @param {string} requestId
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.object} response body, or the got response with { raw: true }
+   */
+  async delete(requestId, options = {}) {
+    const response = await this.spoke.request({ method: 'DELETE', endpoint: `requests/${requestId}`, hooks: options.hooks });
+    return options.raw ? response : response.body;
+  }
+
+  /** This function posts a message on a request
+   * @param {string} requestId
+   * @param {string|Object} message - message text, or a full postMessage payload
+   * @param {Object} [options]
+   * @param {string|Object} [options.actor] - user ID, email or reference posting a text message;
+   * defaults to the client's actor option
+   * @param {boolean} [options.private=false] - post a text message as a private note
+   * @param {boolean} [options.raw=false]
+   * @param {boolean} [options.retry=false]
+   * @param {Object|Object[]} [options.hooks] - hooks for this call only
+   * @returns {Promise.object} message
+   */
+  async message(requestId, message, options = {}) {
+    let json = message;
+    if (typeof message === 'string') {
+      const actor = options.actor || this.spoke.messages.actor;
+      if (!actor) throw new Error('An actor is required to post a message (pass one, or set the client\'s actor option)');
+      json = messagePayload(await this.spoke._resolver.id('users', actor), message, { private: options.private });
+    }
+    assertValid('message', json, this.spoke._validation, { method: 'POST', endpoint: `requests/${requestId}/messages` });
+    const response = await this.spoke.request({
+      method: 'POST',
+      endpoint: `requests/${requestId}/messages`,
+      json,
+      retry: options.retry,
+      hooks: options.hooks
+    });
+    return options.raw ? response : response.body;
+  }
+
+  /** This function lists one page of a request's messages
+   * @param {string} requestId
+   * @param {Object} [params] - JSON query parameter object (limit, start)
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.Array} messages
+   */
+  async listMessages(requestId, params, options = {}) {
+    const response = await this.spoke.request({ method: 'GET', endpoint: `requests/${requestId}/messages`, searchParams: params, hooks: options.hooks });
+    return options.raw ? response : response.body.results || [];
+  }
+
+  /** This function iterates over every message of a request, following Spoke's limit/start paging
+   * @param {string} requestId
+   * @param {Object} [params] - JSON query parameter object
+   * @returns {AsyncIterator.object} messages
+   */
+  iterateMessages(requestId, params) {
+    return paginate((query) => this.listMessages(requestId, query, { raw: true }), params);
+  }
+
+  /** This function adds tags to a request
+   * @param {string} requestId
+   * @param {Array} tags - { _id } or { name } objects
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.SpokeRequest}
+   */
+  async addTags(requestId, tags, options = {}) {
+    assertValid('tags', { tags }, this.spoke._validation, { method: 'PATCH', endpoint: `requests/${requestId}/tags` });
+    const json = await resolvers.resolveTagsPayload(this.spoke._resolver, { tags });
+    const response = await this.spoke.request({ method: 'PATCH', endpoint: `requests/${requestId}/tags`, json, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function removes one tag from a request
+   * @param {string} requestId
+   * @param {string|Object} tag - tag ID or { name } reference
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.SpokeRequest}
+   */
+  async removeTag(requestId, tag, options = {}) {
+    const tagId = await this.spoke._resolver.id('tags', tag);
+    const response = await this.spoke.request({ method: 'DELETE', endpoint: `requests/${requestId}/tags/${tagId}`, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function makes a request's tags exactly the given set, with the fewest add and remove calls
+   * Names are looked up with one tag listing; strings are tag names here, pass { _id } objects for IDs.
+   * Calls for the same request are serialized within the client.
+   * @param {string} requestId
+   * @param {Array} tags - the complete tag set: names, or { _id } / { name } objects
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] - create missing tags instead of failing with a SpokeResolveError
+   * @param {Object|Object[]} [options.hooks] - hooks for these calls only
+   * @example <caption>Example setTags usage</caption>
+   * const { tags, added, removed } = await spoke.requests.setTags(requestId, ['laptop', 'urgent'], { create: true });
+   * @returns {Promise.object} { tags, added, removed } - the resulting Tag models and the tags added and removed
+   */
+  async setTags(requestId, tags, options = {}) {
+    const wanted = Array.from(new Map((await this.spoke.tags.lookup(tags, options)).map((tag) => [tag.id, tag])).values());
+    return this._queue.run(`tags:${requestId}`, async () => {
+      const request = await this.get(requestId, { hooks: options.hooks });
+      const current = (request.tags || []).map((tag) => (typeof tag === 'object' && tag !== null ? tag._id || tag.id : tag));
+      const added = wanted.filter((tag) => !current.includes(tag.id));
+      const removedIds = current.filter((id) => !wanted.some((tag) => tag.id === id));
+
+      if (added.length) await this.addTags(requestId, added.map((tag) => ({ _id: tag.id })), { hooks: options.hooks });
+      for (const tagId of removedIds) await this.removeTag(requestId, tagId, { hooks: options.hooks });
+
+      const removed = removedIds.length ? await this.spoke.tags.lookup(removedIds.map((_id) => ({ _id }))) : [];
+      return { tags: wanted, added, removed };
+    });
+  }
+
+  _withDefaults(request) {
+    if (!request || request.team !== undefined || this.spoke.defaultTeam === undefined) return request;
+    return Object.assign({}, request, { team: this.spoke.defaultTeam });
+  }
+
+  async _findExisting(plan, options) {
+    if (options.idempotencyKey) {
+      const marker = idempotency.keyMarker(options.idempotencyKey);
+      for await (const candidate of this.spoke.iterateRequests({ q: options.idempotencyKey })) {
+        if (typeof candidate.body === 'string' && candidate.body.split('\n').includes(marker)) return candidate;
+      }
+      return undefined;
+    }
+    for await (const candidate of this.spoke.iterateRequests(plan.query)) {
+      if (plan.matches(candidate)) return candidate;
+    }
+    return undefined;
+  }
+
+  _outcome(outcome, response, message, options) {
+    if (options.raw) return Object.assign(response, { outcome, message });
+    return { outcome, request: this.model(response.body), message };
+  }
+}
+
+/** spoke.teams */
+class TeamsClient extends ResourceClient {
+  constructor(spoke) {
+    super(spoke, { resource: 'teams', endpoint: 'teams', Model: Team });
+  }
+
+  /** This function updates a team
+   * @param {string|Object} team - team ID or { name } reference
+   * @param {Object} changes - updateTeam payload; delegation users may be references
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.Team}
+   */
+  async update(team, changes, options = {}) {
+    const teamId = await this.spoke._resolver.id('teams', team);
+    assertValid('teamUpdate', changes, this.spoke._validation, { method: 'PATCH', endpoint: `teams/${teamId}` });
+    const json = await resolvers.resolveTeamPayload(this.spoke._resolver, changes);
+    const response = await this.spoke.request({ method: 'PATCH', endpoint: `teams/${teamId}`, json, hooks: options.hooks });
+    return this._result(response, options);
+  }
+}
+
+/** spoke.users */
+class UsersClient extends ResourceClient {
+  constructor(spoke) {
+    super(spoke, { resource: 'users', endpoint: 'users', Model: User });
+  }
+}
+
+/** spoke.tags */
+class TagsClient extends ResourceClient {
+  constructor(spoke) {
+    super(spoke, { resource: 'tags', endpoint: 'tags', Model: Tag });
+  }
+
+  /** This function creates a tag
+   * @param {string} name
+   * @param {Object} [options] - { raw, hooks }
+   * @returns {Promise.Tag}
+   */
+  async create(name, options = {}) {
+    const json = { name: typeof name === 'string' ? name.trim() : name };
+    assertValid('tag', json, this.spoke._validation, { method: 'POST', endpoint: 'tags' });
+    const response = await this.spoke.request({ method: 'POST', endpoint: 'tags', json, hooks: options.hooks });
+    return this._result(response, options);
+  }
+
+  /** This function looks up several tags with one listing, matching names case-insensitively
+   * Unlike addTags, strings are tag names here; pass { _id } objects for IDs.
+   * @param {Array} tags - names, or { _id } / { name } objects
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] - create the tags that do not exist yet instead of failing
+   * @returns {Promise.Array} Tag models, in the order given
+   * @throws {SpokeResolveError} when a name matches no tag (and create is off) or several tags
+   */
+  async lookup(tags, options = {}) {
+    const existing = await this.listAll();
+    const normalize = (name) => String(name).trim().toLowerCase();
+    const found = [];
+    for (const tag of [].concat(tags)) {
+      const id = typeof tag === 'object' && tag !== null ? tag._id || tag.id : undefined;
+      if (id) {
+        found.push(existing.find((record) => record.id === id) || this.model({ id }));
+        continue;
+      }
+      const name = typeof tag === 'object' && tag !== null ? tag.name : tag;
+      if (typeof name !== 'string' || !name.trim()) {
+        throw new SpokeResolveError(`Cannot resolve tags reference ${JSON.stringify(tag)}`, { resource: 'tags' });
+      }
+      const matches = existing.filter((record) => typeof record.name === 'string' && normalize(record.name) === normalize(name));
+      if (matches.length === 1) {
+        found.push(matches[0]);
+      } else if (!matches.length && options.create) {
+        const created = await this.create(name);
+        existing.push(created);
+        found.push(created);
+      } else {
+        const problem = matches.length ? `${matches.length} tags match` : 'No tags match';
+        throw new SpokeResolveError(`${problem} "${name}"`, { resource: 'tags', reference: name, matches });
+      }
+    }
+    return found;
+  }
+}
+
+/** spoke.requestTypes */
+class RequestTypesClient extends ResourceClient {
+  constructor(spoke) {
+    super(spoke, { resource: 'requestTypes', endpoint: 'request_types', Model: RequestType });
+  }
+
+  /** This function loads a request type and wraps it in a form schema
+   * @param {string|Object} requestType - request type ID, title, or { id } / { title } reference
+   * @example <caption>Example schema usage</caption>
+   * const schema = await spoke.requestTypes.schema('Account Deprovisioning Alert');
+   * await spoke.updateRequest(requestId, schema.updatePayload({ 'Last day': '2021-06-30' }));
+   * @returns {Promise.RequestTypeSchema}
+   */
+  async schema(requestType) {
+    const id = typeof requestType === 'string' ? requestType : requestType && (requestType.id || requestType._id);
+    if (id) {
+      const byId = (await this.listAll()).find((record) => record.id === id);
+      if (byId) return new RequestTypeSchema(byId);
+    }
+    const reference = typeof requestType === 'string' ? requestType : requestType && (requestType.title || requestType.name);
+    if (!reference) {
+      throw new SpokeResolveError(`Cannot resolve requestTypes reference ${JSON.stringify(requestType)}`, { resource: 'requestTypes' });
+    }
+    return new RequestTypeSchema(await this.resolve(reference));
+  }
+}
+
+module.exports = {
+  ResourceClient,
+  RequestsClient,
+  TeamsClient,
+  UsersClient,
+  TagsClient,
+  RequestTypesClient
+};
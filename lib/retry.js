@@ -0,0 +1,97 @@
+'use strict';
+
+/** Retry policy for Spoke API calls: exponential backoff with full jitter,
+ * honouring Retry-After, and retrying only idempotent methods unless a call opts in.
+ * @module retry
+ */
+
+const DEFAULTS = {
+  limit: 3,
+  baseDelay: 200,
+  maxDelay: 20000,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  errorCodes: ['ETIMEDOUT', 'ECONNRESET', 'EADDRINUSE', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN'],
+  onRetry: undefined
+};
+
+/** This function merges client retry options with the defaults
+ * @param {Object|number|boolean} [options] - retry options, an attempt limit, or false to disable retries
+ * @param {number} [options.limit=3] - maximum number of retries after the first attempt
+ * @param {number} [options.baseDelay=200] - backoff base in milliseconds
+ * @param {number} [options.maxDelay=20000] - upper bound for a single wait in milliseconds
+ * @param {string[]} [options.methods] - HTTP methods retried without an explicit opt-in
+ * @param {number[]} [options.statusCodes] - HTTP status codes treated as transient
+ * @param {string[]} [options.errorCodes] - socket error codes treated as transient
+ * @param {Function} [options.onRetry] - called with ({ attempt, delay, error, method, endpoint }) before each retry
+ * @returns {Object} policy
+ */
+function retryPolicy(options) {
+  if (options === false) return Object.assign({}, DEFAULTS, { limit: 0 });
+  if (typeof options === 'number') return Object.assign({}, DEFAULTS, { limit: options });
+  return Object.assign({}, DEFAULTS, options);
+}
+
+/** This function parses a Retry-After header (delta seconds or HTTP date) into milliseconds
+ * @param {string} [header] - Retry-After header value
+ * @param {number} [now=Date.now()] - current time in milliseconds
+ * @returns {number|undefined} delay in milliseconds
+ */
+function parseRetryAfter(header, now = Date.now()) {
+  if (header === undefined || header === null || header === '') return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, date - now);
+}
+
+/** This function decides whether a failed attempt should be retried
+ * @param {Error} error - error thrown by got
+ * @param {Object} context
+ * @param {number} context.attempt - number of the attempt that failed, starting at 1
+ * @param {string} context.method - HTTP method
+ * @param {boolean} [context.retry] - per-call override: true opts a non-idempotent call in, false opts out
+ * @param {Object} policy - retry policy from retryPolicy()
+ * @returns {boolean}
+ */
+function shouldRetry(error, { attempt, method, retry }, policy) {
+  if (attempt > policy.limit) return false;
+  if (retry === false) return false;
+  if (retry !== true && !policy.methods.includes(method)) return false;
+  if (error.response) return policy.statusCodes.includes(error.response.statusCode);
+  return policy.errorCodes.includes(error.code);
+}
+
+/** This function computes the wait before the next attempt
+ * A Retry-After header wins over the backoff; otherwise the wait is a random value
+ * between 0 and baseDelay * 2^(attempt - 1), capped at maxDelay.
+ * @param {Error} error - error thrown by got
+ * @param {number} attempt - number of the attempt that failed, starting at 1
+ * @param {Object} policy - retry policy from retryPolicy()
+ * @returns {number} delay in milliseconds
+ */
+function retryDelay(error, attempt, policy) {
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfter = parseRetryAfter(headers['retry-after']);
+  if (retryAfter !== undefined) return Math.min(retryAfter, policy.maxDelay);
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/** This function resolves after the given number of milliseconds
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULTS,
+  retryPolicy,
+  parseRetryAfter,
+  shouldRetry,
+  retryDelay,
+  sleep
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/** On-call rotas: hand a team's SPECIFIC_USER delegation from one user to the next on a fixed schedule.
+ * @module rota
+ */
+
+const PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_CHECK_INTERVAL = 15 * 60 * 1000;
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER = 2147483647;
+
+/** This function turns a period option into milliseconds */
+function periodMs(period) {
+  const ms = typeof period === 'number' ? period : PERIODS[period];
+  if (!(ms > 0)) throw new Error(`Invalid rota period: ${period} (use 'day', 'week' or milliseconds)`);
+  return ms;
+}
+
+/** A rota for one team (created with spoke.delegation.rota) */
+class Rota {
+
+  /**
+   * @constructor
+   * @param {DelegationClient} delegation - client making the changes
+   * @param {Object} definition
+   * @param {string|Object} definition.team - team ID, name, or { name } reference
+   * @param {Array} definition.users - users in rotation order (IDs, emails or references)
+   * @param {Date|string} definition.start - when the first user's shift begins
+   * @param {string|number} [definition.period=week] - shift length: 'day', 'week' or milliseconds
+   * @param {Object[]} [definition.overrides] - { user, from, until } swaps that win over the rotation
+   */
+  constructor(delegation, definition) {
+    if (!definition || !Array.isArray(definition.users) || !definition.users.length) throw new Error('A rota needs at least one user');
+    const start = new Date(definition.start);
+    if (Number.isNaN(start.getTime())) throw new Error(`Invalid rota start: ${definition.start}`);
+    this.delegation = delegation;
+    this.team = definition.team;
+    this.users = definition.users;
+    this.startsAt = start;
+    this.period = periodMs(definition.period || 'week');
+    this.overrides = (definition.overrides || []).map((override) => ({
+      user: override.user,
+      from: new Date(override.from),
+      until: new Date(override.until)
+    }));
+    this._timer = undefined;
+    this._run = undefined;
+  }
+
+  /** This function works out who is on call at a given time
+   * @param {Date} [at=new Date()]
+   * @returns {Object} shift - { user, from, until }
+   */
+  shiftAt(at = new Date()) {
+    const time = at.getTime();
+    const override = this.overrides.find((candidate) => candidate.from.getTime() <= time && time < candidate.until.getTime());
+    if (override) return Object.assign({}, override);
+
+    const index = Math.floor((time - this.startsAt.getTime()) / this.period);
+    const from = new Date(this.startsAt.getTime() + index * this.period);
+    let until = new Date(from.getTime() + this.period);
+    const nextOverride = this.overrides
+      .filter((candidate) => candidate.from.getTime() > time && candidate.from < until)
+      .sort((a, b) => a.from - b.from)[0];
+    if (nextOverride) until = nextOverride.from;
+    const user = this.users[((index % this.users.length) + this.users.length) % this.users.length];
+    return { user, from, until };
+  }
+
+  /** This function makes the team's delegation match the rota, writing only when it differs
+   * @param {Date} [at=new Date()]
+   * @returns {Promise.object} { changed, user, userId, from, until, delegation }
+   */
+  async apply(at = new Date()) {
+    const shift = this.shiftAt(at);
+    const userId = await this.delegation.spoke._resolver.id('users', shift.user);
+    const current = await this.delegation.get(this.team);
+    if (current.strategy === 'SPECIFIC_USER' && current.specifiedUser === userId) {
+      return Object.assign({ changed: false, userId, delegation: current }, shift);
+    }
+    const delegation = await this.delegation.setSpecificUser(this.team, userId);
+    return Object.assign({ changed: true, userId, delegation }, shift);
+  }
+
+  /** This function applies the rota now and again at every handoff until stopped
+   * Between handoffs the delegation is re-checked every checkInterval, so manual changes are put back.
+   * @param {Object} [options]
+   * @param {Function} [options.onHandoff] - called with the apply() result whenever the delegation was changed
+   * @param {Function} [options.onError] - called with errors from apply() and onHandoff; the runner keeps going,
+   * and an error thrown by onError itself is reported with process.emitWarning
+   * @param {number} [options.checkInterval=900000] - longest wait between checks, in milliseconds
+   * @returns {Rota} this, for chaining
+   */
+  start(options = {}) {
+    const checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL;
+    this.stop();
+    const run = {};
+    this._run = run;
+    const tick = async () => {
+      let wait = checkInterval;
+      try {
+        const result = await this.apply();
+        wait = Math.min(checkInterval, Math.max(0, result.until.getTime() - Date.now()));
+        if (result.changed && options.onHandoff) await options.onHandoff(result);
+      } catch (error) {
+        try {
+          if (options.onError) await options.onError(error);
+        } catch (callbackError) {
+          process.emitWarning(callbackError);
+        }
+      }
+      if (this._run === run) this._timer = setTimeout(tick, Math.min(wait, MAX_TIMER));
+    };
+    this._timer = setTimeout(tick, 0);
+    return this;
+  }
+
+  /** This function stops the runner started by start() */
+  stop() {
+    if (this._timer !== undefined) clearTimeout(this._timer);
+    this._timer = undefined;
+    this._run = undefined;
+  }
+}
+
+module.exports = {
+  PERIODS,
+  Rota
+};
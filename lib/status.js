@@ -0,0 +1,17 @@
+'use strict';
+
+/** Request status helpers shared by duplicate detection, reports and workspace moves.
+ * @module status
+ */
+
+const CLOSED_STATUSES = ['RESOLVED', 'CLOSED', 'COMPLETED', 'DONE', 'CANCELLED'];
+
+/** This function tells whether a request is still open */
+function isOpen(request) {
+  return !CLOSED_STATUSES.includes(String(request.status || '').toUpperCase());
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  isOpen
+};
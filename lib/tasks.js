@@ -0,0 +1,146 @@
+'use strict';
+
+const { SpokeNotFoundError, SpokeConflictError } = require('./errors');
+const { KeyedQueue } = require('./queue');
+
+/** Task instance operations on requests.
+ * Spoke only updates tasks by PATCHing a request's whole `taskInstances` array, so every change
+ * here is a read-modify-write: calls on the same request are serialized within the client, and the
+ * request is re-read just before the write to detect concurrent edits. A lost race is retried on fresh data.
+ * Spoke does not document ETags or If-Match for requests. When a read does carry an ETag, the write
+ * sends If-Match instead of re-reading and treats a 412 as a lost race; only FakeSpokeServer is known
+ * to behave this way, so that path is assumed and not verified against the live API.
+ * @module tasks
+ */
+
+const COMPLETED = 'COMPLETED';
+const DONE_STATUSES = ['COMPLETE', 'COMPLETED', 'DONE'];
+const DEFAULT_ATTEMPTS = 3;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/** spoke.tasks */
+class TasksClient {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   * @param {Object} [options]
+   * @param {number} [options.attempts=3] - read-modify-write attempts before giving up with a SpokeConflictError
+   */
+  constructor(spoke, options = {}) {
+    this.spoke = spoke;
+    this.attempts = options.attempts || DEFAULT_ATTEMPTS;
+    this._queue = new KeyedQueue();
+  }
+
+  /** This function lists a request's task instances
+   * @param {string} requestId
+   * @returns {Promise.Array} taskInstances
+   */
+  async list(requestId) {
+    const response = await this.spoke.requests.get(requestId, { raw: true });
+    return response.body.taskInstances || [];
+  }
+
+  /** This function changes one task instance, leaving the request's other tasks untouched
+   * @param {string} requestId
+   * @param {string} taskId - task uuid
+   * @param {Object|Function} changes - fields to merge into the task (owner may be a user email or reference),
+   * or a function receiving a copy of the task and returning the changes
+   * @returns {Promise.object} the updated task
+   * @throws {SpokeNotFoundError} when the request has no such task
+   * @throws {SpokeConflictError} when concurrent edits kept winning the race
+   */
+  async update(requestId, taskId, changes) {
+    return this._queue.run(requestId, async () => {
+      for (let attempt = 1; attempt <= this.attempts; attempt++) {
+        const read = await this.spoke.requests.get(requestId, { raw: true });
+        const tasks = clone(read.body.taskInstances || []);
+        const task = tasks.find((candidate) => candidate.uuid === taskId);
+        if (!task) {
+          throw new SpokeNotFoundError(`Request ${requestId} has no task ${taskId}`, { status: 404, endpoint: `requests/${requestId}` });
+        }
+
+        const fields = Object.assign({}, typeof changes === 'function' ? await changes(clone(task)) : changes);
+        if (fields.owner !== undefined) fields.owner = await this.spoke._resolver.id('users', fields.owner);
+        Object.assign(task, fields);
+
+        const etag = read.headers && read.headers.etag;
+        if (!etag && await this._changedSince(requestId, read.body)) continue;
+        try {
+          const written = await this.spoke.request({
+            method: 'PATCH',
+            endpoint: `requests/${requestId}`,
+            json: { taskInstances: tasks },
+            headers: etag ? { 'If-Match': etag } : undefined
+          });
+          return (written.body.taskInstances || tasks).find((candidate) => candidate.uuid === taskId);
+        } catch (error) {
+          if (!(error instanceof SpokeConflictError)) throw error;
+        }
+      }
+      throw new SpokeConflictError(`Task ${taskId} on request ${requestId} kept changing; gave up after ${this.attempts} attempts`, {
+        endpoint: `requests/${requestId}`,
+        method: 'PATCH'
+      });
+    });
+  }
+
+  /** This function marks a task instance as completed
+   * @param {string} requestId
+   * @param {string} taskId - task uuid
+   * @returns {Promise.object} the updated task
+   */
+  async complete(requestId, taskId) {
+    return this.update(requestId, taskId, { status: COMPLETED });
+  }
+
+  /** This function gives a task instance to another user
+   * @param {string} requestId
+   * @param {string} taskId - task uuid
+   * @param {string|Object} user - user email, ID or reference
+   * @returns {Promise.object} the updated task
+   */
+  async reassign(requestId, taskId, user) {
+    return this.update(requestId, taskId, { owner: user });
+  }
+
+  /** This function finds incomplete tasks whose due date has passed
+   * @param {string[]|Object} requests - request IDs, or a listRequests query selecting the requests
+   * @param {Object} [options]
+   * @param {Date} [options.now=new Date()] - reference time
+   * @returns {Promise.Array} { requestId, subject, task } for each overdue task, most overdue first
+   */
+  async overdue(requests, options = {}) {
+    const now = (options.now || new Date()).getTime();
+    const records = [];
+    if (Array.isArray(requests)) {
+      for (const requestId of requests) records.push((await this.spoke.requests.get(requestId, { raw: true })).body);
+    } else {
+      for await (const request of this.spoke.iterateRequests(requests)) records.push(request);
+    }
+
+    const overdue = [];
+    for (const request of records) {
+      for (const task of request.taskInstances || []) {
+        const due = Date.parse(task.dueDate);
+        if (Number.isNaN(due) || due >= now) continue;
+        if (DONE_STATUSES.includes(String(task.status).toUpperCase())) continue;
+        overdue.push({ requestId: request.id, subject: request.subject, task });
+      }
+    }
+    return overdue.sort((a, b) => Date.parse(a.task.dueDate) - Date.parse(b.task.dueDate));
+  }
+
+  async _changedSince(requestId, before) {
+    const current = (await this.spoke.requests.get(requestId, { raw: true })).body;
+    return current.updatedAt !== before.updatedAt ||
+      JSON.stringify(current.taskInstances || []) !== JSON.stringify(before.taskInstances || []);
+  }
+}
+
+module.exports = {
+  COMPLETED,
+  TasksClient
+};
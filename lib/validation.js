@@ -0,0 +1,260 @@
+'use strict';
+
+const { SpokePayloadError } = require('./errors');
+
+/** Client-side schemas for the request bodies of mutating calls.
+ * Payloads are checked before references are resolved and before any HTTP call, so a
+ * missing `subject` or a misspelled delegation key fails fast with the exact path at fault.
+ * Missing or mistyped fields are errors; unknown keys are warnings, or errors in strict mode.
+ * @module validation
+ */
+
+const string = { type: 'string' };
+const text = { type: 'string', minLength: 1 };
+
+/** This function describes a value that may be an ID string or a reference object with one of the keys */
+const reference = (keys) => ({
+  type: ['string', 'object'],
+  properties: keys.reduce((properties, key) => Object.assign(properties, { [key]: string }), {}),
+  oneOf: keys
+});
+
+const userReference = reference(['id', '_id', 'email', 'displayName']);
+const teamReference = reference(['id', '_id', 'name']);
+const tagReference = reference(['id', '_id', 'name']);
+const requestTypeReference = reference(['id', '_id', 'title', 'name']);
+
+const requestTypeInfo = {
+  type: 'object',
+  properties: {
+    answeredFields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['fieldId', 'value'],
+        properties: { fieldId: string, value: {} }
+      }
+    }
+  }
+};
+
+const taskInstance = {
+  type: 'object',
+  required: ['uuid'],
+  properties: { uuid: string, owner: userReference, status: string, dueDate: string },
+  additional: true
+};
+
+const requestFields = {
+  subject: text,
+  body: string,
+  requester: userReference,
+  owner: Object.assign({ nullable: true }, userReference),
+  team: Object.assign({ nullable: true }, teamReference),
+  requestType: requestTypeReference,
+  requestTypeInfo,
+  status: string,
+  privacyLevel: string,
+  taskInstances: { type: 'array', items: taskInstance }
+};
+
+/** Strategies the delegation keys apply to */
+const DELEGATION_KEYS = {
+  specifiedUser: 'SPECIFIC_USER',
+  excludedUsers: 'ROUND_ROBIN'
+};
+
+const delegation = {
+  type: 'object',
+  required: ['strategy'],
+  properties: {
+    strategy: text,
+    specifiedUser: userReference,
+    excludedUsers: { type: 'array', items: userReference }
+  },
+  check(value, path, report) {
+    for (const key of Object.keys(DELEGATION_KEYS)) {
+      if (value[key] !== undefined && typeof value.strategy === 'string' && value.strategy !== DELEGATION_KEYS[key]) {
+        report.warning(`${path}.${key}`, `is ignored unless strategy is ${DELEGATION_KEYS[key]}`);
+      }
+    }
+    if (value.strategy === 'SPECIFIC_USER' && value.specifiedUser === undefined) {
+      const hint = value.specificUser !== undefined ? ' (found specificUser)' : '';
+      report.error(`${path}.specifiedUser`, `is required when strategy is SPECIFIC_USER${hint}`);
+    }
+  }
+};
+
+/** Schemas by payload name */
+const SCHEMAS = {
+  request: {
+    type: 'object',
+    required: ['subject', 'requester'],
+    properties: requestFields
+  },
+  requestUpdate: {
+    type: 'object',
+    properties: requestFields
+  },
+  message: {
+    type: 'object',
+    required: ['actor', 'content'],
+    properties: {
+      actor: {
+        type: 'object',
+        required: ['kind', 'ref'],
+        properties: { kind: text, ref: text }
+      },
+      content: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: {
+            type: 'object',
+            required: ['text'],
+            properties: { text }
+          }
+        }
+      },
+      privacyLevel: string
+    }
+  },
+  teamUpdate: {
+    type: 'object',
+    properties: {
+      settings: {
+        type: 'object',
+        properties: { delegation }
+      }
+    }
+  },
+  tags: {
+    type: 'object',
+    required: ['tags'],
+    properties: {
+      tags: { type: 'array', minLength: 1, items: tagReference }
+    }
+  },
+  tag: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: text }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/** This function returns the edit distance between two keys, for "did you mean" hints */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (v, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestion(key, known) {
+  const match = known.find((candidate) => candidate.toLowerCase() === key.toLowerCase()) ||
+    known.find((candidate) => distance(candidate.toLowerCase(), key.toLowerCase()) <= 2);
+  return match ? ` (did you mean ${match}?)` : '';
+}
+
+function check(schema, value, path, report) {
+  if (value === undefined || (value === null && schema.nullable)) return;
+  const types = [].concat(schema.type || []);
+  const type = typeOf(value);
+  if (types.length && !types.includes(type)) {
+    report.error(path, `must be ${types.join(' or ')}, got ${type}`);
+    return;
+  }
+
+  if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    report.error(path, 'must not be empty');
+  }
+  if (type === 'array') {
+    if (schema.minLength && value.length < schema.minLength) report.error(path, 'must not be empty');
+    if (schema.items) value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, report));
+  }
+  if (type === 'object' && schema.properties) {
+    const known = Object.keys(schema.properties);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) report.error(`${path}.${key}`, 'is required');
+    }
+    if (schema.oneOf && !schema.oneOf.some((key) => value[key] !== undefined)) {
+      report.error(path, `must have one of ${schema.oneOf.join(', ')}`);
+    }
+    for (const key of Object.keys(value)) {
+      if (schema.properties[key]) check(schema.properties[key], value[key], `${path}.${key}`, report);
+      else if (!schema.additional) report.warning(`${path}.${key}`, `is not a known field${suggestion(key, known)}`);
+    }
+  }
+  if (type === 'object' && schema.check) schema.check(value, path, report);
+}
+
+/** This function checks a payload against one of the schemas
+ * @param {string} name - schema name: request, requestUpdate, message, teamUpdate or tags
+ * @param {*} payload - request body
+ * @returns {Object} { errors, warnings }, each a list of { path, message }
+ */
+function validate(name, payload) {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`Unknown Spoke payload schema: ${name}`);
+  const result = { errors: [], warnings: [] };
+  const report = {
+    error: (path, message) => result.errors.push({ path, message }),
+    warning: (path, message) => result.warnings.push({ path, message })
+  };
+  if (payload === undefined || payload === null) report.error(name, 'is required');
+  else check(schema, payload, name, report);
+  return result;
+}
+
+/** This function normalizes the `validation` client option
+ * @param {boolean|Object} [option] - false to skip validation, or { strict, onWarning }
+ * @returns {Object|undefined} { strict, onWarning }, or undefined when validation is off
+ */
+function validationOptions(option) {
+  if (option === false) return undefined;
+  const options = Object.assign({ strict: false }, option === true ? {} : option);
+  if (!options.onWarning) {
+    options.onWarning = (warning) => process.emitWarning(`${warning.path} ${warning.message}`, 'SpokePayloadWarning');
+  }
+  return options;
+}
+
+/** This function validates a payload, reporting warnings and throwing on errors
+ * @param {string} name - schema name
+ * @param {*} payload - request body
+ * @param {Object} [options] - as returned by validationOptions; undefined skips the check
+ * @param {Object} [call] - { method, endpoint } recorded on the error
+ * @returns {Object[]} warnings
+ * @throws {SpokePayloadError} listing every problem, warnings included in strict mode
+ */
+function assertValid(name, payload, options, call = {}) {
+  if (!options) return [];
+  const { errors, warnings } = validate(name, payload);
+  const problems = options.strict ? errors.concat(warnings) : errors;
+  if (problems.length) {
+    const summary = problems.map((problem) => `${problem.path} ${problem.message}`).join('; ');
+    throw new SpokePayloadError(`Invalid ${name} payload: ${summary}`, { method: call.method, endpoint: call.endpoint, problems });
+  }
+  for (const warning of warnings) options.onWarning(warning);
+  return warnings;
+}
+
+module.exports = {
+  SCHEMAS,
+  validate,
+  validationOptions,
+  assertValid
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { checkpointStore, MemoryCheckpointStore } = require('./checkpoint');
+const { SpokeNotFoundError } = require('./errors');
+
+/** Change feed for requests, for consumers that cannot receive webhooks.
+ * The first poll lists every request matching a query; later polls only list requests updated since
+ * the newest `updatedAt` seen (the `updatedSince` list filter), so a poll costs calls in proportion
+ * to what changed. A deleted request never shows up in such a listing, so every `rescanInterval`
+ * a poll lists every match again and looks up the known requests missing from it. Results are compared with a snapshot of the watched fields kept in a checkpoint
+ * store, so a restarted watcher neither replays events it already delivered nor misses changes made
+ * while it was down (changes made in between are coalesced). The snapshot only holds requests that
+ * still match the query.
+ * @module watcher
+ */
+
+const DEFAULT_INTERVAL = 60000;
+
+// full listings, which find deleted requests, happen this many poll intervals apart by default
+const RESCAN_POLLS = 10;
+
+const DEFAULT_FIELDS = ['subject', 'body', 'status', 'requester', 'owner', 'team', 'requestType', 'tags', 'privacyLevel'];
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** This class polls listRequests and emits `created`, `updated`, `statusChanged` and `removed` events
+ * Events are { type, request } plus `changes` ({ field: { before, after } }) for updated,
+ * and `before` / `after` statuses for statusChanged. A request that stops matching the query
+ * (say a RESOLVED request watched with status: 'OPEN') gets its updated and statusChanged events
+ * and then `removed`; `removed` carries `deleted: true` when the request no longer exists.
+ * Poll failures are emitted as `error` when there is a listener; the watcher keeps polling either way.
+ */
+class RequestWatcher extends EventEmitter {
+
+  /**
+   * @constructor
+   * @param {Spoke} spoke - client making the calls
+   * @param {Object} [query] - listRequests query selecting the requests to watch
+   * @param {Object} [options]
+   * @param {number} [options.interval=60000] - milliseconds between polls
+   * @param {string|Object} [options.checkpoint] - file path or { load, save } store; in memory by default
+   * @param {string[]} [options.fields] - request fields compared between polls
+   * @param {string} [options.initial=skip] - on the very first poll, 'skip' records existing requests silently,
+   * 'emit' reports each as created
+   * @param {number} [options.rescanInterval] - milliseconds between polls that list every match to find deleted
+   * requests; ten intervals by default, 0 to list everything on every poll
+   */
+  constructor(spoke, query, options = {}) {
+    super();
+    this.spoke = spoke;
+    this.query = Object.assign({}, query);
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.fields = options.fields || DEFAULT_FIELDS;
+    this.initial = options.initial || 'skip';
+    this.rescanInterval = options.rescanInterval === undefined ? this.interval * RESCAN_POLLS : options.rescanInterval;
+    this.store = checkpointStore(options.checkpoint) || new MemoryCheckpointStore();
+    this._state = undefined;
+    this._polling = Promise.resolve();
+    this._timer = undefined;
+    this._running = false;
+    this._wake = undefined;
+  }
+
+  /** This function polls once, emits the events found and saves the checkpoint
+   * @returns {Promise.Array} events
+   */
+  async poll() {
+    const run = this._polling.catch(() => {}).then(async () => {
+      const { events, state } = await this._diff();
+      for (const event of events) this.emit(event.type, event);
+      await this._commit(state);
+      return events;
+    });
+    this._polling = run;
+    return run;
+  }
+
+  /** This function starts polling on the interval (the first poll runs immediately)
+   * @returns {RequestWatcher} this, for chaining
+   */
+  start() {
+    if (this._running) return this;
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (this.listenerCount('error')) this.emit('error', error);
+      }
+      if (this._running) this._timer = setTimeout(tick, this.interval);
+    };
+    this._timer = setTimeout(tick, 0);
+    return this;
+  }
+
+  /** This function stops polling; an async iteration in progress ends after its current event */
+  stop() {
+    this._running = false;
+    if (this._timer !== undefined) clearTimeout(this._timer);
+    this._timer = undefined;
+    if (this._wake) this._wake();
+  }
+
+  /** This function iterates over events as they are found, polling on the interval until stop() is called
+   * A poll's checkpoint is saved once all of its events have been consumed, so an event the consumer
+   * never finished with is delivered again after a restart. Use either this or start(), not both.
+   * @example <caption>Example async iteration</caption>
+   * for await (const event of spoke.watchRequests({ team: teamId })) console.log(event.type, event.request.id);
+   * @returns {AsyncIterator.object} events
+   */
+  async* [Symbol.asyncIterator]() {
+    this._running = true;
+    try {
+      while (this._running) {
+        let batch;
+        try {
+          batch = await this._diff();
+        } catch (error) {
+          if (!this.listenerCount('error')) throw error;
+          this.emit('error', error);
+        }
+        if (batch) {
+          for (const event of batch.events) {
+            yield event;
+            if (!this._running) return;
+          }
+          await this._commit(batch.state);
+        }
+        if (!this._running) return;
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, this.interval);
+        });
+        this._wake = undefined;
+      }
+    } finally {
+      this.stop();
+    }
+  }
+
+  async _diff() {
+    if (!this._state) this._state = await this.store.load();
+    const first = !this._state;
+    const previous = first ? {} : this._state.requests;
+    const scannedAt = first ? NaN : Date.parse(this._state.scannedAt);
+    const rescan = !(Date.now() - scannedAt < this.rescanInterval);
+    const cursor = first || rescan ? undefined : this._state.cursor;
+    const next = Object.assign({}, previous);
+    const events = [];
+    let newest = first ? undefined : this._state.cursor;
+    const seen = (request) => {
+      if (request.updatedAt && !(newest >= request.updatedAt)) newest = request.updatedAt;
+    };
+
+    // requests changed anywhere, so known ones that no longer match the query can be told apart
+    const changed = new Set();
+    if (cursor) {
+      for await (const request of this.spoke.iterateRequests({ updatedSince: cursor })) {
+        seen(request);
+        if (previous[request.id]) changed.add(request.id);
+      }
+    }
+
+    const matching = new Set();
+    const query = cursor ? Object.assign({}, this.query, { updatedSince: cursor }) : this.query;
+    for await (const request of this.spoke.iterateRequests(query)) {
+      seen(request);
+      matching.add(request.id);
+      const snapshot = this._snapshot(request);
+      next[request.id] = snapshot;
+      const before = previous[request.id];
+      if (!before) {
+        if (!first || this.initial === 'emit') events.push({ type: 'created', request });
+        continue;
+      }
+      events.push(...this._changes(request, before, snapshot));
+    }
+
+    // without a cursor every match was listed, so any known request missing from the list has left or was deleted
+    const departed = cursor
+      ? Array.from(changed).filter((id) => !matching.has(id))
+      : Object.keys(previous).filter((id) => !matching.has(id));
+    for (const id of departed) {
+      delete next[id];
+      let request;
+      try {
+        request = (await this.spoke.getRequest(id)).body;
+      } catch (error) {
+        if (!(error instanceof SpokeNotFoundError)) throw error;
+        events.push({ type: 'removed', request: Object.assign({ id }, previous[id]), deleted: true });
+        continue;
+      }
+      events.push(...this._changes(request, previous[id], this._snapshot(request)));
+      events.push({ type: 'removed', request, deleted: false });
+    }
+    const polledAt = new Date().toISOString();
+    return { events, state: { requests: next, cursor: newest, polledAt, scannedAt: cursor ? this._state.scannedAt : polledAt } };
+  }
+
+  _changes(request, before, snapshot) {
+    const changes = {};
+    for (const field of this.fields) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(snapshot[field])) {
+        changes[field] = { before: before[field], after: snapshot[field] };
+      }
+    }
+    if (!Object.keys(changes).length) return [];
+    const events = [{ type: 'updated', request, changes }];
+    if (changes.status) events.push({ type: 'statusChanged', request, before: changes.status.before, after: changes.status.after });
+    return events;
+  }
+
+  async _commit(state) {
+    await this.store.save(state);
+    this._state = state;
+  }
+
+  _snapshot(request) {
+    const snapshot = {};
+    for (const field of this.fields) {
+      if (request[field] !== undefined) snapshot[field] = clone(request[field]);
+    }
+    return snapshot;
+  }
+}
+
+module.exports = {
+  DEFAULT_FIELDS,
+  RequestWatcher
+};
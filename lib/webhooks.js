@@ -0,0 +1,270 @@
+'use strict';
+
+const crypto = require('crypto');
+const { SpokeWebhookError } = require('./errors');
+
+/** Receiver for Spoke webhook deliveries.
+ * A delivery is signed with HMAC-SHA256 over `${timestamp}.${rawBody}` using the shared secret;
+ * the hex digest is sent in the signature header and the unix timestamp (seconds) in the timestamp header.
+ * @module webhooks
+ */
+
+const DEFAULT_SIGNATURE_HEADER = 'x-spoke-signature';
+const DEFAULT_TIMESTAMP_HEADER = 'x-spoke-timestamp';
+const DEFAULT_TOLERANCE = 300;
+
+/** Base class for parsed webhook events */
+class SpokeEvent {
+
+  /**
+   * @constructor
+   * @param {Object} payload - parsed webhook body
+   * @param {string} payload.type - event type, e.g. 'request.created'
+   * @param {string} [payload.id] - event ID
+   * @param {string} [payload.createdAt] - event time
+   * @param {Object} [payload.data] - event data
+   */
+  constructor(payload) {
+    const data = payload.data || {};
+    this.id = payload.id;
+    this.type = payload.type;
+    this.createdAt = payload.createdAt;
+    this.request = data.request;
+    this.requestId = data.request ? data.request.id : data.requestId;
+    this.data = data;
+  }
+}
+
+/** A request was created */
+class RequestCreatedEvent extends SpokeEvent {}
+
+/** A request's fields were updated */
+class RequestUpdatedEvent extends SpokeEvent {}
+
+/** A request's status changed */
+class RequestStatusChangedEvent extends SpokeEvent {
+  constructor(payload) {
+    super(payload);
+    this.previousStatus = this.data.previousStatus;
+    this.status = this.data.status || (this.request && this.request.status);
+  }
+}
+
+/** A message was posted to a request */
+class MessageCreatedEvent extends SpokeEvent {
+  constructor(payload) {
+    super(payload);
+    this.message = this.data.message;
+  }
+}
+
+const EVENT_CLASSES = {
+  'request.created': RequestCreatedEvent,
+  'request.updated': RequestUpdatedEvent,
+  'request.status_changed': RequestStatusChangedEvent,
+  'message.created': MessageCreatedEvent
+};
+
+/** This function signs a webhook body, as Spoke does when delivering it
+ * @param {string} secret - shared webhook secret
+ * @param {string|Buffer} rawBody - exact request body
+ * @param {number} timestamp - unix time in seconds
+ * @returns {string} hex HMAC-SHA256 signature
+ */
+function sign(secret, rawBody, timestamp) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/** This function parses a webhook payload into a typed event object
+ * @param {Object} payload - parsed webhook body
+ * @returns {SpokeEvent}
+ */
+function parseEvent(payload) {
+  if (!payload || typeof payload.type !== 'string') {
+    throw new SpokeWebhookError('Webhook payload has no event type', { status: 400 });
+  }
+  const EventClass = EVENT_CLASSES[payload.type] || SpokeEvent;
+  return new EventClass(payload);
+}
+
+/** This class verifies Spoke webhook deliveries and dispatches them to registered handlers */
+class SpokeWebhooks {
+
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.secret - shared webhook secret (required)
+   * @param {Spoke} [options.spoke] - client handed to handlers, used for replies
+   * @param {Object} [options.actor] - actor for replies, e.g. { kind: 'User', ref: userId }
+   * @param {number} [options.tolerance=300] - accepted clock skew in seconds; older deliveries are rejected as replays
+   * @param {string} [options.signatureHeader=x-spoke-signature]
+   * @param {string} [options.timestampHeader=x-spoke-timestamp]
+   * @param {Function} [options.onError] - (error, req) called by handler() when a handler fails; the sender
+   * only gets a generic 500. Defaults to process.emitWarning
+   * @example <caption>Example SpokeWebhooks usage</caption>
+   * const webhooks = new SpokeWebhooks({ secret, spoke, actor: { kind: 'User', ref: botUserId } });
+   * webhooks.on('request.created', async (event) => ({ reply: `Thanks, we got "${event.request.subject}"` }));
+   * app.post('/spoke/webhooks', webhooks.middleware());
+   */
+  constructor(options = {}) {
+    if (!options.secret) throw new Error('SpokeWebhooks requires a secret');
+    this.secret = options.secret;
+    this.spoke = options.spoke;
+    this.actor = options.actor;
+    this.tolerance = options.tolerance === undefined ? DEFAULT_TOLERANCE : options.tolerance;
+    this.signatureHeader = (options.signatureHeader || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+    this.timestampHeader = (options.timestampHeader || DEFAULT_TIMESTAMP_HEADER).toLowerCase();
+    this.onError = options.onError || ((error) => process.emitWarning(error));
+    this._handlers = new Map();
+  }
+
+  /** This function registers a handler for an event type
+   * Handlers receive (event, context) where context is { spoke, reply(text) }.
+   * A handler may also resolve { reply: text } to post a message on the triggering request.
+   * @param {string} type - event type, or '*' for every event
+   * @param {Function} handler
+   * @returns {SpokeWebhooks} this
+   */
+  on(type, handler) {
+    if (!this._handlers.has(type)) this._handlers.set(type, []);
+    this._handlers.get(type).push(handler);
+    return this;
+  }
+
+  /** This function checks the signature and timestamp of a delivery
+   * @param {string|Buffer} rawBody - exact request body
+   * @param {Object} headers - request headers (lower-case names, as Node provides them)
+   * @param {number} [now=Date.now()] - current time in milliseconds
+   * @throws {SpokeWebhookError} when the delivery is unsigned, forged or outside the tolerance window
+   */
+  verify(rawBody, headers, now = Date.now()) {
+    const signature = headers[this.signatureHeader];
+    const timestamp = Number(headers[this.timestampHeader]);
+    if (!signature || !timestamp) {
+      throw new SpokeWebhookError('Webhook delivery is missing its signature or timestamp', { status: 401 });
+    }
+    if (Math.abs(now / 1000 - timestamp) > this.tolerance) {
+      throw new SpokeWebhookError('Webhook timestamp is outside the tolerance window', { status: 401 });
+    }
+    const expected = Buffer.from(sign(this.secret, rawBody, timestamp), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new SpokeWebhookError('Webhook signature does not match', { status: 401 });
+    }
+  }
+
+  /** This function verifies, parses and dispatches a delivery
+   * @param {string|Buffer} rawBody - exact request body
+   * @param {Object} headers - request headers
+   * @returns {Promise.object} { event, results } - the parsed event and each handler's result
+   */
+  async handle(rawBody, headers) {
+    this.verify(rawBody, headers);
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new SpokeWebhookError('Webhook body is not valid JSON', { status: 400 });
+    }
+    const event = parseEvent(payload);
+    const context = {
+      spoke: this.spoke,
+      reply: (text) => this._reply(event, text)
+    };
+
+    const handlers = (this._handlers.get(event.type) || []).concat(this._handlers.get('*') || []);
+    const results = [];
+    for (const handler of handlers) {
+      const result = await handler(event, context);
+      if (result && result.reply) await context.reply(result.reply);
+      results.push(result);
+    }
+    return { event, results };
+  }
+
+  /** This function returns a plain Node (req, res) request handler
+   * Signature, timestamp and payload failures are answered with their own 4xx status. Any other failure
+   * (a handler throwing, or a reply the Spoke API rejected) is answered with a generic 500 and passed to
+   * onError, so internal error text and upstream statuses never reach the sender.
+   * @returns {Function}
+   */
+  handler() {
+    return (req, res) => {
+      this._receive(req)
+        .then(() => respond(res, 200, { ok: true }))
+        .catch((error) => {
+          if (error instanceof SpokeWebhookError) return respond(res, error.status, { ok: false, message: error.message });
+          respond(res, 500, { ok: false, message: 'Webhook handler failed' });
+          try {
+            this.onError(error, req);
+          } catch (callbackError) {
+            process.emitWarning(callbackError);
+          }
+        });
+    };
+  }
+
+  /** This function returns an Express/Connect-compatible middleware
+   * Uses req.rawBody or a Buffer req.body when a body parser ran first, otherwise reads the stream.
+   * Signature failures are answered directly; handler failures are passed to next().
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      this._receive(req)
+        .then(() => respond(res, 200, { ok: true }))
+        .catch((error) => {
+          if (error instanceof SpokeWebhookError) return respond(res, error.status, { ok: false, message: error.message });
+          return next(error);
+        });
+    };
+  }
+
+  async _receive(req) {
+    const rawBody = await rawBodyOf(req);
+    return this.handle(rawBody, req.headers);
+  }
+
+  async _reply(event, text) {
+    if (!this.spoke) throw new Error('SpokeWebhooks needs a spoke client to reply');
+    if (!this.actor) throw new Error('SpokeWebhooks needs an actor to reply');
+    if (!event.requestId) throw new Error(`Cannot reply to ${event.type} event without a request`);
+    return this.spoke.postMessage(event.requestId, {
+      actor: this.actor,
+      content: { message: { text } }
+    });
+  }
+}
+
+function rawBodyOf(req) {
+  if (req.rawBody !== undefined) return Promise.resolve(req.rawBody);
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') return Promise.resolve(req.body);
+  if (req.body !== undefined) {
+    return Promise.reject(new SpokeWebhookError('Webhook body was already parsed; mount the middleware before JSON body parsing', { status: 400 }));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function respond(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+SpokeWebhooks.sign = sign;
+SpokeWebhooks.parseEvent = parseEvent;
+SpokeWebhooks.SpokeEvent = SpokeEvent;
+SpokeWebhooks.RequestCreatedEvent = RequestCreatedEvent;
+SpokeWebhooks.RequestUpdatedEvent = RequestUpdatedEvent;
+SpokeWebhooks.RequestStatusChangedEvent = RequestStatusChangedEvent;
+SpokeWebhooks.MessageCreatedEvent = MessageCreatedEvent;
+
+module.exports = SpokeWebhooks;
@@ -0,0 +1,107 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const { MemoryCheckpointStore } = Spoke.checkpoint;
+
+const withServer = serverTest({
+  seed: (seed) => Object.assign(seed, {
+    requests: Array.from({ length: 12 }, (v, i) => ({ id: `req-${i}`, subject: `request ${i}`, requester: 'user-1' }))
+  })
+});
+
+const ids = (n) => Array.from({ length: n }, (v, i) => `req-${i}`);
+
+withServer('[bulk] updateRequests reports per-item outcomes', async (assert, spoke, server) => {
+  const progress = [];
+  const report = await spoke.bulk.updateRequests(ids(12).concat('missing'), { status: 'RESOLVED' }, {
+    concurrency: 4,
+    onProgress: (event) => progress.push(event)
+  });
+
+  assert.equal(report.total, 13, 'total');
+  assert.equal(report.succeeded.length, 12, 'twelve succeeded');
+  assert.deepEqual(report.failed.map((item) => item.id), ['missing'], 'missing request failed');
+  assert.equal(report.failed[0].error.name, 'SpokeNotFoundError', 'failure carries the error');
+  assert.notOk(JSON.stringify(report).includes(server.apiKey), 'report has no api key');
+  assert.ok(server.list('requests').every((request) => request.status === 'RESOLVED'), 'all requests updated');
+  assert.equal(progress.length, 13, 'progress reported per item');
+  assert.equal(progress[progress.length - 1].done, 13, 'progress counts up to total');
+});
+
+test('[bulk] respects the concurrency limit', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  let inFlight = 0;
+  let peak = 0;
+  const report = await spoke.bulk.run(ids(10), async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    inFlight--;
+  }, { concurrency: 3 });
+  assert.equal(report.succeeded.length, 10, 'all items ran');
+  assert.equal(peak, 3, 'never more than three in flight');
+  assert.end();
+});
+
+withServer('[bulk] addTags and removeTags by name', async (assert, spoke, server) => {
+  const added = await spoke.bulk.addTags(ids(5), [{ name: 'laptop' }, 'tag-2']);
+  assert.equal(added.succeeded.length, 5, 'tags added');
+  assert.deepEqual(server.get('requests', 'req-4').tags, ['tag-1', 'tag-2'], 'both tags on request');
+
+  const removed = await spoke.bulk.removeTags(ids(5), [{ name: 'urgent' }]);
+  assert.equal(removed.succeeded.length, 5, 'tags removed');
+  assert.deepEqual(removed.results.find((item) => item.id === 'req-0').result, ['tag-1'], 'result has remaining tags');
+});
+
+withServer('[bulk] resumes from a checkpoint', async (assert, spoke) => {
+  const store = new MemoryCheckpointStore();
+  let calls = 0;
+  const first = await spoke.bulk.run(ids(6), async (id) => {
+    calls++;
+    if (id === 'req-3') throw new Error('interrupted');
+  }, { checkpoint: store });
+  assert.equal(first.failed.length, 1, 'first run had a failure');
+
+  const second = await spoke.bulk.run(ids(6), async () => {
+    calls++;
+  }, { checkpoint: store });
+  assert.equal(second.skipped.length, 5, 'completed items skipped');
+  assert.deepEqual(second.succeeded, ['req-3'], 'failed item retried');
+  assert.equal(calls, 7, 'only the failed item ran again');
+
+  const file = path.join(os.tmpdir(), `spoke-bulk-${process.pid}.json`);
+  await spoke.bulk.updateRequests(ids(2), { status: 'OPEN' }, { checkpoint: file });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).completed.sort(), ids(2), 'file checkpoint written');
+  const resumed = await spoke.bulk.updateRequests(ids(3), { status: 'OPEN' }, { checkpoint: file });
+  assert.deepEqual(resumed.skipped.sort(), ids(2), 'file checkpoint resumed');
+  fs.unlinkSync(file);
+});
+
+test('[bulk] checkpoint and progress failures are reported without stopping the run', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  let saves = 0;
+  const store = {
+    load: async () => undefined,
+    save: async () => {
+      if (++saves === 2) throw new Error('disk full');
+    }
+  };
+  const report = await spoke.bulk.run(ids(4), async (id) => id, {
+    concurrency: 2,
+    checkpoint: store,
+    onProgress: ({ id }) => {
+      if (id === 'req-0') throw new Error('progress bar broke');
+    }
+  });
+  assert.deepEqual(report.succeeded.sort(), ids(4), 'every item still succeeded');
+  assert.equal(saves, 4, 'saves after the failed one still ran');
+  assert.deepEqual(report.warnings.map((warning) => [warning.stage, warning.error.message]).sort(), [
+    ['checkpoint', 'disk full'],
+    ['progress', 'progress bar broke']
+  ], 'failures listed as warnings');
+  assert.end();
+});
@@ -0,0 +1,109 @@
+'use strict';
+const { PassThrough, Readable } = require('stream');
+const test = require('tape');
+const cli = require('../lib/cli.js');
+const { FakeSpokeServer } = require('../index.js');
+
+const runCli = async (argv, stdinText = '') => {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  let out = '';
+  let err = '';
+  stdout.on('data', (chunk) => { out += chunk; });
+  stderr.on('data', (chunk) => { err += chunk; });
+  const code = await cli.main(argv, { stdin: Readable.from([stdinText]), stdout, stderr });
+  return { code, out, err };
+};
+
+test('[cli] parseArgs', (assert) => {
+  const { positional, flags } = cli.parseArgs(['requests', 'list', '--status', 'OPEN', '--all', '--output=table']);
+  assert.deepEqual(positional, ['requests', 'list'], 'positional arguments');
+  assert.deepEqual(flags, { status: 'OPEN', all: true, output: 'table' }, 'flags');
+  assert.end();
+});
+
+test('[cli] format', (assert) => {
+  const rows = [{ id: 'a', name: 'laptop', nested: { x: 1 } }, { id: 'bb', name: 'urgent' }];
+  assert.equal(cli.format({ results: rows }, 'ndjson'), `${JSON.stringify(rows[0])}\n${JSON.stringify(rows[1])}\n`, 'ndjson');
+  assert.equal(cli.format(rows, 'table'), 'id  name\na   laptop\nbb  urgent\n', 'table of scalar fields');
+  assert.throws(() => cli.format(rows, 'xml'), /Unknown output format/, 'unknown format rejected');
+  assert.end();
+});
+
+test('[cli] commands against the fake server', async (assert) => {
+  const server = new FakeSpokeServer();
+  await server.start();
+  const creds = ['--api-key', server.apiKey, '--base-url', server.baseUrl];
+
+  const created = await runCli(['requests', 'create', ...creds], JSON.stringify({ subject: 'Laptop', requester: 'user-1' }));
+  assert.equal(created.code, 0, 'create exits 0');
+  const id = JSON.parse(created.out).id;
+  assert.equal(server.get('requests', id).subject, 'Laptop', 'request created from stdin body');
+
+  await runCli(['requests', 'update', id, '--data', '{"status":"RESOLVED"}', ...creds]);
+  assert.equal(server.get('requests', id).status, 'RESOLVED', 'request updated from --data');
+
+  await runCli(['tags', 'add', id, 'tag-1', 'tag-2', ...creds]);
+  await runCli(['tags', 'remove', id, 'tag-1', ...creds]);
+  assert.deepEqual(server.get('requests', id).tags, ['tag-2'], 'tags added and removed');
+
+  await runCli(['requests', 'message', id, '--text', 'on it', '--actor', 'user-2', ...creds]);
+  assert.equal(server.messages(id)[0].content.message.text, 'on it', 'message posted');
+  await runCli(['requests', 'message', id, '--text', 'checked stock', '--actor', 'ada@example.com', '--private', ...creds]);
+  assert.equal(server.messages(id)[1].privacyLevel, 'PRIVATE', 'private note posted');
+  assert.equal(server.messages(id)[1].actor.ref, 'user-1', 'actor given by email');
+  const thread = await runCli(['requests', 'messages', id, '--all', '--output', 'ndjson', ...creds]);
+  assert.equal(thread.out.trim().split('\n').length, 2, 'messages listed');
+
+  const users = await runCli(['users', 'list', '--q', 'ada', '--output', 'ndjson', ...creds]);
+  assert.equal(JSON.parse(users.out.trim()).id, 'user-1', 'users list passes query params');
+
+  const types = await runCli(['request-types', 'list', '--all', '--output', 'table', ...creds]);
+  assert.ok(types.out.includes('Account Deprovisioning Alert'), 'request types table');
+
+  const missing = await runCli(['requests', 'get', 'nope', ...creds]);
+  assert.equal(missing.code, 1, 'failure exits 1');
+  assert.ok(/failed with status 404/.test(missing.err), 'error printed to stderr');
+
+  const unknown = await runCli(['widgets', 'list', ...creds]);
+  assert.ok(/Unknown command: widgets list/.test(unknown.err), 'unknown command reported');
+
+  await server.stop();
+  assert.end();
+});
+
+test('[cli] --dry-run prints the call instead of sending it', async (assert) => {
+  const { code, out } = await runCli([
+    'teams', 'update', 'team-1', '--dry-run', '--api-key', 'secret', '--base-url', 'http://spoke.invalid/api/v1',
+    '--data', '{"settings":{"delegation":{"strategy":"ROUND_ROBIN"}}}'
+  ]);
+  assert.equal(code, 0, 'dry run exits 0');
+  assert.deepEqual(JSON.parse(out), [{
+    method: 'PATCH',
+    url: 'http://spoke.invalid/api/v1/teams/team-1',
+    headers: { 'Api-key': '[REDACTED]' },
+    body: { settings: { delegation: { strategy: 'ROUND_ROBIN' } } }
+  }], 'printed the PATCH without sending it');
+  assert.notOk(out.includes('secret'), 'api key not printed');
+  assert.end();
+});
+
+test('[cli] --dry-run resolves email references before printing the call', async (assert) => {
+  const server = new FakeSpokeServer();
+  await server.start();
+  const creds = ['--api-key', server.apiKey, '--base-url', server.baseUrl];
+
+  const created = await runCli(['requests', 'create', '--dry-run', '--data', '{"subject":"Laptop","requester":"ada@example.com"}', ...creds]);
+  assert.equal(created.code, 0, 'dry run exits 0');
+  const [post] = JSON.parse(created.out);
+  assert.equal(post.method, 'POST', 'printed the POST');
+  assert.equal(post.body.requester, 'user-1', 'requester email resolved');
+
+  const message = await runCli(['requests', 'message', 'req-1', '--dry-run', '--text', 'on it', '--actor', 'bob@example.com', ...creds]);
+  assert.equal(message.code, 0, 'message dry run exits 0');
+  assert.equal(JSON.parse(message.out)[0].body.actor.ref, 'user-2', 'actor email resolved');
+  assert.notOk(server.calls.some((call) => call.method !== 'GET'), 'nothing sent but lookups');
+
+  await server.stop();
+  assert.end();
+});
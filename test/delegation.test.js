@@ -0,0 +1,135 @@
+'use strict';
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+
+const withServer = serverTest({
+  seed: (seed) => {
+    seed.users.push({ id: 'user-3', displayName: 'Cy Coder', email: 'cy@example.com' });
+    return seed;
+  },
+  client: { validation: { strict: true } }
+});
+
+const delegationOf = (server) => server.get('teams', 'team-1').settings.delegation;
+
+withServer('[delegation] strategies by team name and user email', async (assert, spoke, server) => {
+  assert.deepEqual(await spoke.getDelegation('Information Technology'), { strategy: 'ROUND_ROBIN', excludedUsers: [] }, 'reads by name');
+
+  await spoke.setSpecificUser('Information Technology', 'bob@example.com');
+  assert.deepEqual(delegationOf(server), { strategy: 'SPECIFIC_USER', specifiedUser: 'user-2' }, 'specific user set by email');
+
+  await spoke.setRoundRobin({ name: 'Information Technology' }, { exclude: ['ada@example.com'] });
+  assert.deepEqual(delegationOf(server), { strategy: 'ROUND_ROBIN', excludedUsers: ['user-1'] }, 'round robin with exclusions');
+
+  await spoke.setRoundRobin('team-1');
+  assert.deepEqual(delegationOf(server).excludedUsers, ['user-1'], 'exclusions kept when omitted');
+  const patch = server.calls.filter((call) => call.method === 'PATCH').pop();
+  assert.deepEqual(patch.body, { settings: { delegation: { strategy: 'ROUND_ROBIN', excludedUsers: ['user-1'] } } }, 'whole delegation sent');
+});
+
+withServer('[delegation] excludeUser and includeUser edit the current list', async (assert, spoke, server) => {
+  await Promise.all([
+    spoke.excludeUser('Information Technology', 'ada@example.com'),
+    spoke.excludeUser('Information Technology', 'bob@example.com'),
+    spoke.excludeUser('team-1', 'cy@example.com')
+  ]);
+  assert.deepEqual(delegationOf(server).excludedUsers.sort(), ['user-1', 'user-2', 'user-3'], 'concurrent exclusions all kept');
+
+  const patches = server.calls.filter((call) => call.method === 'PATCH').length;
+  await spoke.excludeUser('team-1', 'ada@example.com');
+  assert.equal(server.calls.filter((call) => call.method === 'PATCH').length, patches, 'no write when already excluded');
+
+  const delegation = await spoke.includeUser('team-1', { email: 'bob@example.com' });
+  assert.deepEqual(delegation.excludedUsers.sort(), ['user-1', 'user-3'], 'user included again');
+
+  await spoke.setSpecificUser('team-1', 'user-1');
+  try {
+    await spoke.excludeUser('team-1', 'user-2');
+    assert.fail('should throw');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeValidationError, 'exclusions need round robin');
+    assert.ok(/uses SPECIFIC_USER delegation/.test(error.message), 'explains why');
+  }
+});
+
+withServer('[delegation] exclusion changes read the team once and queue per team', async (assert, spoke, server) => {
+  await spoke.getDelegation('Information Technology');
+  await spoke.getDelegation('team-1');
+  for (const team of [{ id: 'team-1' }, 'team-1', 'Information Technology']) {
+    server.calls = [];
+    await spoke.delegation.excludeUser(team, 'user-1');
+    await spoke.delegation.includeUser(team, 'user-1');
+    assert.deepEqual(server.calls.map((call) => `${call.method} ${call.path}`),
+      ['GET teams', 'PATCH teams/team-1', 'GET teams', 'PATCH teams/team-1'], `one read per change for ${JSON.stringify(team)}`);
+  }
+  await spoke.delegation.excludeUser('team-1', 'user-1');
+
+  await Promise.all([
+    spoke.delegation.excludeUser('team-1', 'user-2'),
+    spoke.delegation.excludeUser('team-1', 'user-3')
+  ]);
+  assert.deepEqual(server.get('teams', 'team-1').settings.delegation.excludedUsers.sort(), ['user-1', 'user-2', 'user-3'], 'concurrent calls both kept');
+});
+
+withServer('[delegation] rota works out shifts and hands over', async (assert, spoke, server) => {
+  const rota = spoke.delegation.rota({
+    team: 'Information Technology',
+    users: ['ada@example.com', 'bob@example.com', 'cy@example.com'],
+    start: '2021-06-07T09:00:00Z',
+    period: 'week',
+    overrides: [{ user: 'ada@example.com', from: '2021-06-16T09:00:00Z', until: '2021-06-17T09:00:00Z' }]
+  });
+
+  assert.equal(rota.shiftAt(new Date('2021-06-07T09:00:00Z')).user, 'ada@example.com', 'first shift');
+  const second = rota.shiftAt(new Date('2021-06-15T12:00:00Z'));
+  assert.equal(second.user, 'bob@example.com', 'second shift');
+  assert.equal(second.until.toISOString(), '2021-06-16T09:00:00.000Z', 'shift ends where an override begins');
+  assert.equal(rota.shiftAt(new Date('2021-06-16T12:00:00Z')).user, 'ada@example.com', 'override wins');
+  assert.equal(rota.shiftAt(new Date('2021-06-25T00:00:00Z')).user, 'cy@example.com', 'third shift');
+  assert.equal(rota.shiftAt(new Date('2021-06-29T00:00:00Z')).user, 'ada@example.com', 'wraps around');
+  assert.equal(rota.shiftAt(new Date('2021-06-01T00:00:00Z')).user, 'cy@example.com', 'works before the start');
+
+  const first = await rota.apply(new Date('2021-06-15T12:00:00Z'));
+  assert.equal(first.changed, true, 'handed over');
+  assert.deepEqual(delegationOf(server), { strategy: 'SPECIFIC_USER', specifiedUser: 'user-2' }, 'bob on call');
+  const again = await rota.apply(new Date('2021-06-15T13:00:00Z'));
+  assert.equal(again.changed, false, 'no write when already on call');
+
+  assert.throws(() => spoke.delegation.rota({ users: [], start: '2021-06-07' }), /at least one user/, 'users required');
+  assert.throws(() => spoke.delegation.rota({ users: ['a'], start: '2021-06-07', period: 'fortnight' }), /Invalid rota period/, 'period checked');
+});
+
+withServer('[delegation] rota runner applies on schedule until stopped', async (assert, spoke, server) => {
+  const handoffs = [];
+  const rota = spoke.delegation.rota({ team: 'team-1', users: ['user-1', 'user-2'], start: new Date(Date.now() - 10), period: 150 });
+  rota.start({ checkInterval: 1000, onHandoff: (result) => handoffs.push(result.userId), onError: (error) => assert.fail(error.message) });
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  rota.stop();
+  const count = handoffs.length;
+  assert.ok(count >= 2, `handed over at shift boundaries (${count})`);
+  assert.notEqual(handoffs[0], handoffs[1], 'alternates users');
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(handoffs.length, count, 'no handoffs after stop');
+});
+
+withServer('[delegation] rota runner keeps going when onError throws', async (assert, spoke) => {
+  const errors = [];
+  const warnings = [];
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning) => warnings.push(warning);
+  const rota = spoke.delegation.rota({ team: { name: 'Facilities' }, users: ['user-1'], start: new Date(), period: 'week' });
+  rota.start({
+    checkInterval: 50,
+    onError: (error) => {
+      errors.push(error);
+      throw new Error('alerting is down');
+    }
+  });
+  await new Promise((resolve) => setTimeout(resolve, 220));
+  rota.stop();
+  process.emitWarning = emitWarning;
+  assert.ok(errors.length >= 2, `checks continue after onError throws (${errors.length})`);
+  assert.ok(errors[0] instanceof Spoke.SpokeResolveError, 'apply error passed to onError');
+  assert.equal(warnings.length, errors.length, 'onError failures reported as warnings');
+  assert.equal(warnings[0].message, 'alerting is down', 'warning carries the onError failure');
+});
@@ -0,0 +1,54 @@
+'use strict';
+const test = require('tape');
+const util = require('util');
+const errors = require('../lib/errors.js');
+
+const call = {
+  method: 'PATCH',
+  endpoint: 'requests/req1',
+  json: { status: 'RESOLVED' }
+};
+
+const gotError = (statusCode, body, headers = {}) => Object.assign(new Error(`Response code ${statusCode}`), {
+  response: { statusCode, body, headers },
+  options: { headers: { 'Api-key': 'super-secret' } }
+});
+
+test('[errors] fromGotError picks the class for the status', (assert) => {
+  assert.ok(errors.fromGotError(gotError(401), call) instanceof errors.SpokeAuthError, '401 is an auth error');
+  assert.ok(errors.fromGotError(gotError(403), call) instanceof errors.SpokeAuthError, '403 is an auth error');
+  assert.ok(errors.fromGotError(gotError(404), call) instanceof errors.SpokeNotFoundError, '404 is a not found error');
+  assert.ok(errors.fromGotError(gotError(400), call) instanceof errors.SpokeValidationError, '400 is a validation error');
+  assert.ok(errors.fromGotError(gotError(429), call) instanceof errors.SpokeRateLimitError, '429 is a rate limit error');
+  assert.ok(errors.fromGotError(gotError(503), call) instanceof errors.SpokeServerError, '503 is a server error');
+  const network = errors.fromGotError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }), call);
+  assert.equal(network.constructor, errors.SpokeError, 'network failure is a base SpokeError');
+  assert.equal(network.code, 'ECONNRESET', 'network failure keeps its code');
+  assert.end();
+});
+
+test('[errors] fromGotError carries request details and Spoke message', (assert) => {
+  const error = errors.fromGotError(gotError(422, { message: 'status is invalid' }), call);
+  assert.ok(error instanceof errors.SpokeError, 'is a SpokeError');
+  assert.equal(error.name, 'SpokeValidationError', 'named after its class');
+  assert.equal(error.status, 422, 'has status');
+  assert.equal(error.method, 'PATCH', 'has method');
+  assert.equal(error.endpoint, 'requests/req1', 'has endpoint');
+  assert.equal(error.spokeMessage, 'status is invalid', 'has Spoke message');
+  assert.ok(/status is invalid/.test(error.message), 'message includes Spoke message');
+  assert.deepEqual(error.request.json, { status: 'RESOLVED' }, 'request summary has the body');
+
+  const rateLimited = errors.fromGotError(gotError(429, { errors: [{ message: 'slow down' }] }, { 'retry-after': '3' }), call);
+  assert.equal(rateLimited.spokeMessage, 'slow down', 'reads errors array');
+  assert.equal(rateLimited.retryAfter, '3', 'rate limit error has retryAfter');
+  assert.end();
+});
+
+test('[errors] Api-key never appears in an error or its serialization', (assert) => {
+  const error = errors.fromGotError(gotError(401, { message: 'bad token' }), call);
+  assert.equal(error.request.headers['Api-key'], '[REDACTED]', 'summary redacts the header');
+  assert.notOk(JSON.stringify(error).includes('super-secret'), 'JSON has no api key');
+  assert.notOk(util.inspect(error, { depth: null }).includes('super-secret'), 'inspect has no api key');
+  assert.notOk(error.stack.includes('super-secret'), 'stack has no api key');
+  assert.end();
+});
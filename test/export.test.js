@@ -0,0 +1,93 @@
+'use strict';
+const test = require('tape');
+const { createdWindow } = require('../lib/export');
+const { serverTest } = require('./helpers');
+
+const withServer = serverTest({
+  seed: (seed) => Object.assign(seed, {
+    requests: [
+      { id: 'req-1', subject: 'New laptop, please', requester: 'user-2', owner: 'user-1', team: 'team-1', tags: ['tag-1', 'tag-2'], createdAt: '2020-06-01T09:00:00.000Z' },
+      { id: 'req-2', subject: 'Printer says "PC LOAD LETTER"', requester: 'user-2', status: 'RESOLVED', createdAt: '2020-06-08T09:00:00.000Z' },
+      { id: 'req-3', subject: 'VPN access', requester: 'user-1', team: 'team-1', tags: ['tag-1'], createdAt: '2020-06-15T09:00:00.000Z' }
+    ],
+    messages: {
+      'req-1': [
+        { actor: { kind: 'User', ref: 'user-2' }, content: { message: { text: 'Mine is broken' } } },
+        { actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: 'Ordered one' } } }
+      ]
+    }
+  })
+});
+
+const read = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+withServer('[export] ndjson writes one request per line', async (assert, spoke) => {
+  const lines = (await read(spoke.exportRequests())).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((request) => request.id), ['req-1', 'req-2', 'req-3'], 'every request exported');
+  assert.deepEqual(lines[0].tags, ['tag-1', 'tag-2'], 'raw request is written when no columns are given');
+});
+
+withServer('[export] csv uses default columns with names filled in', async (assert, spoke) => {
+  const text = await read(spoke.exportRequests({}, { format: 'csv' }));
+  const rows = text.split('\r\n');
+  assert.equal(rows[0], 'id,subject,status,createdAt,updatedAt,requester,owner,team,tags', 'header row');
+  assert.ok(rows[1].startsWith('req-1,"New laptop, please",OPEN,2020-06-01T09:00:00.000Z,'), 'commas are quoted');
+  assert.ok(rows[1].endsWith(',Bob Builder,Ada Admin,Information Technology,laptop; urgent'), 'nested names resolved');
+  assert.ok(rows[2].startsWith('req-2,"Printer says ""PC LOAD LETTER""",RESOLVED,'), 'quotes are doubled');
+  assert.ok(rows[2].endsWith(',Bob Builder,,,'), 'missing owner, team and tags are empty');
+  assert.equal(rows[4], '', 'ends with a line break');
+});
+
+withServer('[export] filters by reference and date range', async (assert, spoke, server) => {
+  const text = await read(spoke.exportRequests({ team: { name: 'information technology' }, tags: { name: 'laptop' } }, {
+    format: 'csv',
+    columns: ['id', { header: 'Owner', value: 'owner.email' }, { header: 'Tag count', value: (request) => request.tags.length }],
+    since: '2020-06-10'
+  }));
+  assert.equal(text, 'id,Owner,Tag count\r\nreq-3,,1\r\n', 'only matching requests and columns');
+  const query = server.calls.find((call) => call.path === 'requests').query;
+  assert.equal(query.team, 'team-1', 'team name resolved to an ID');
+  assert.equal(query.tags, 'tag-1', 'tag name resolved to an ID');
+  assert.equal(query.createdSince, '2020-06-10T00:00:00.000Z', 'since sent to Spoke');
+  assert.equal(query.createdBefore, undefined, 'no upper bound without until');
+});
+
+withServer('[export] includes message threads', async (assert, spoke, server) => {
+  const lines = (await read(spoke.exportRequests({}, { includeMessages: true, until: '2020-06-02' }))).trim().split('\n');
+  assert.equal(lines.length, 1, 'until excludes later requests');
+  assert.equal(server.calls.find((call) => call.path === 'requests').query.createdBefore, '2020-06-02T00:00:00.000Z', 'until sent to Spoke');
+  const request = JSON.parse(lines[0]);
+  assert.deepEqual(request.messages.map((message) => message.content.message.text), ['Mine is broken', 'Ordered one'], 'ndjson carries messages');
+
+  const csv = await read(spoke.exportRequests({}, { format: 'csv', includeMessages: true, until: '2020-06-02' }));
+  assert.ok(csv.split('\r\n')[1].endsWith(',Bob Builder: Mine is broken; Ada Admin: Ordered one'), 'csv flattens the thread');
+});
+
+withServer('[export] streams page by page', async (assert, spoke, server) => {
+  server.seed({ requests: Array.from({ length: 60 }, (v, i) => ({ id: `bulk-${i}`, subject: `request ${i}`, requester: 'user-1' })) });
+  const stream = spoke.exportRequests({ q: 'request ' });
+  const iterator = stream[Symbol.asyncIterator]();
+  await iterator.next();
+  const pages = server.calls.filter((call) => call.path === 'requests').length;
+  assert.ok(pages < 3, 'first line arrives before every page is fetched');
+  let count = 1;
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) count++;
+  assert.equal(count, 60, 'all requests eventually written');
+  assert.throws(() => spoke.exportRequests({}, { format: 'xml' }), /Unknown export format: xml/, 'unknown format rejected');
+});
+
+test('[export] createdWindow builds the list filters and re-checks each request', (assert) => {
+  const range = createdWindow({ since: '2020-06-01', until: new Date('2020-06-08T00:00:00Z') });
+  assert.deepEqual(range.query, { createdSince: '2020-06-01T00:00:00.000Z', createdBefore: '2020-06-08T00:00:00.000Z' }, 'filters sent to Spoke');
+  assert.ok(range.contains({ createdAt: '2020-06-01T00:00:00.000Z' }), 'since is inclusive');
+  assert.notOk(range.contains({ createdAt: '2020-06-08T00:00:00.000Z' }), 'until is exclusive');
+  assert.notOk(range.contains({ createdAt: '2020-05-31T23:59:59.000Z' }), 'earlier requests left out when Spoke ignores the filters');
+  assert.ok(range.contains({}), 'requests without createdAt kept');
+  assert.deepEqual(createdWindow().query, {}, 'no filters without a window');
+  assert.throws(() => createdWindow({ since: 'last week' }), /Invalid since date: last week/, 'bad dates rejected');
+  assert.end();
+});
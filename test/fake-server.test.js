@@ -0,0 +1,88 @@
+'use strict';
+const got = require('got');
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+
+const withServer = serverTest({ client: { retry: false } });
+
+withServer('[fake-server] requests round-trip', async (assert, spoke, server) => {
+  const created = await spoke.postRequest({ subject: 'New laptop', requester: 'user-1', team: 'team-1' });
+  assert.equal(created.statusCode, 201, 'created request');
+  const id = created.body.id;
+  assert.equal(server.get('requests', id).subject, 'New laptop', 'request stored');
+
+  await spoke.updateRequest(id, { status: 'RESOLVED', owner: 'user-2' });
+  const fetched = await spoke.getRequest(id);
+  assert.equal(fetched.body.status, 'RESOLVED', 'update applied');
+  assert.equal(fetched.body.owner, 'user-2', 'owner applied');
+
+  const list = await spoke.listRequests({ status: 'RESOLVED' });
+  assert.deepEqual(list.body.results.map((r) => r.id), [id], 'listRequests filters by status');
+
+  await spoke.postMessage(id, { actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: 'hi' } } });
+  assert.equal(server.messages(id)[0].content.message.text, 'hi', 'message stored');
+
+  await spoke.deleteRequest(id);
+  assert.equal(server.get('requests', id), undefined, 'request deleted');
+});
+
+withServer('[fake-server] tags, teams, users and request types', async (assert, spoke, server) => {
+  const { body: request } = await spoke.postRequest({ subject: 'Broken', requester: 'user-1' });
+  await spoke.addTags(request.id, { tags: [{ _id: 'tag-1' }, { _id: 'tag-2' }] });
+  await spoke.removeTags(request.id, 'tag-1');
+  assert.deepEqual(server.get('requests', request.id).tags, ['tag-2'], 'tags added and removed');
+
+  const teams = await spoke.listTeams({ q: 'information' });
+  assert.equal(teams.body.results[0].id, 'team-1', 'listTeams searches by name');
+  await spoke.updateTeam('team-1', { settings: { delegation: { strategy: 'SPECIFIC_USER', specifiedUser: 'user-2' } } });
+  assert.equal(server.get('teams', 'team-1').settings.delegation.specifiedUser, 'user-2', 'team delegation updated');
+
+  const users = await spoke.listUsers({ q: 'bob@example.com' });
+  assert.equal(users.body.results[0].id, 'user-2', 'listUsers searches by email');
+
+  const types = await spoke.listAll('requestTypes', {});
+  assert.equal(types[0].title, 'Account Deprovisioning Alert', 'request types seeded');
+  assert.ok(server.calls.some((call) => call.method === 'PATCH' && call.path === 'teams/team-1'), 'calls recorded');
+});
+
+withServer('[fake-server] paging and errors', async (assert, spoke, server) => {
+  server.seed({ requests: Array.from({ length: 30 }, (v, i) => ({ subject: `request ${i}`, requester: 'user-1' })) });
+  const all = await spoke.listAll('requests', { limit: 7 });
+  assert.equal(all.length, 30, 'iterated every page');
+
+  try {
+    await spoke.getRequest('missing');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeNotFoundError, 'missing request is not found');
+  }
+
+  try {
+    await spoke.postRequest({ subject: 'no requester' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeValidationError, 'invalid payload is a validation error');
+  }
+
+  const badKey = new Spoke({ apiKey: 'wrong', baseUrl: server.baseUrl });
+  try {
+    await badKey.listTags({});
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeAuthError, 'wrong api key is an auth error');
+  }
+});
+
+withServer('[fake-server] malformed bodies and failing routes get JSON errors', async (assert, spoke, server) => {
+  const options = { headers: { 'api-key': server.apiKey, 'content-type': 'application/json' }, responseType: 'json', throwHttpErrors: false, timeout: 2000 };
+  const malformed = await got.post(`${server.baseUrl}requests`, Object.assign({ body: '{"subject":' }, options));
+  assert.equal(malformed.statusCode, 400, 'malformed JSON answered with 400');
+  assert.ok(/not valid JSON/.test(malformed.body.message), 'JSON error body');
+
+  server._routes = () => [['GET', /^boom$/, () => {
+    throw new Error('route blew up');
+  }]];
+  const failed = await got(`${server.baseUrl}boom`, options);
+  assert.equal(failed.statusCode, 500, 'throwing route answered with 500');
+  assert.ok(/route blew up/.test(failed.body.message), 'JSON error body');
+});
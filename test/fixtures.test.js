@@ -0,0 +1,105 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const Spoke = require('../index.js');
+const { FakeSpokeServer, FixtureStore } = Spoke;
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'spoke-fixtures-'));
+
+const record = async (dir, fn, options = {}) => {
+  const server = new FakeSpokeServer({ apiKey: 'live-secret-key' });
+  await server.start();
+  const spoke = new Spoke(Object.assign(server.clientOptions(), { retry: false, fixtures: Object.assign({ dir, mode: 'record' }, options) }));
+  try {
+    await fn(spoke, server);
+  } finally {
+    await server.stop();
+  }
+};
+
+test('[fixtures] recorded calls replay without network or credentials', async (assert) => {
+  const dir = tmpDir();
+  let id;
+  await record(dir, async (spoke) => {
+    id = (await spoke.postRequest({ subject: 'Laptop', requester: 'user-1', body: 'serial 1234' })).body.id;
+    await spoke.getRequest(id);
+    await spoke.updateRequest(id, { status: 'RESOLVED' });
+    await spoke.getRequest(id);
+    await spoke.listTeams({ q: 'Information' });
+    await spoke.getRequest('missing').catch(() => {});
+  }, { scrub: ['body'] });
+
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 5, 'one fixture per distinct call');
+  const text = files.map((file) => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n');
+  assert.notOk(text.includes('live-secret-key'), 'api key never written');
+  assert.notOk(text.includes('serial 1234'), 'scrubbed body field not written');
+
+  const spoke = new Spoke({ baseUrl: 'http://127.0.0.1:9/', credentials: () => Promise.reject(new Error('no network here')), fixtures: dir });
+  await spoke.postRequest({ subject: 'Laptop', requester: 'user-1', body: 'serial 1234' });
+  assert.equal((await spoke.getRequest(id)).body.status, 'OPEN', 'first GET replays the first response');
+  await spoke.updateRequest(id, { status: 'RESOLVED' });
+  assert.equal((await spoke.getRequest(id)).body.status, 'RESOLVED', 'repeated GET replays the next response');
+  const teams = await spoke.listTeams({ q: 'Information' });
+  assert.equal(teams.body.results[0].name, 'Information Technology', 'query calls replay');
+  assert.ok(teams.headers['content-type'].includes('json'), 'allowlisted headers kept');
+  try {
+    await spoke.getRequest('missing');
+    assert.fail('should throw');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeNotFoundError, 'recorded errors replay as the same SpokeError');
+  }
+  assert.deepEqual(await spoke.fixtures.unused(), [], 'every fixture used');
+  assert.end();
+});
+
+test('[fixtures] unmatched calls fail loudly in replay mode', async (assert) => {
+  const dir = tmpDir();
+  const spoke = new Spoke({ fixtures: { dir, mode: 'replay' } });
+  try {
+    await spoke.listTags({ q: 'laptop' });
+    assert.fail('should throw');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeFixtureError, 'SpokeFixtureError');
+    assert.ok(error.message.includes('GET tags?q=laptop'), 'names the call');
+    assert.equal(path.dirname(error.fixture), dir, 'names the expected fixture file');
+  }
+  assert.end();
+});
+
+test('[fixtures] keys ignore object key order and missing mode records only new calls', async (assert) => {
+  const dir = tmpDir();
+  const store = new FixtureStore({ dir });
+  assert.equal(
+    store.file({ method: 'PATCH', endpoint: 'requests/1', json: { a: 1, b: { c: 2, d: 3 } } }),
+    store.file({ method: 'PATCH', endpoint: 'requests/1', json: { b: { d: 3, c: 2 }, a: 1 } }),
+    'same key for reordered bodies'
+  );
+  assert.notEqual(
+    store.file({ method: 'GET', endpoint: 'requests', searchParams: { status: 'OPEN' } }),
+    store.file({ method: 'GET', endpoint: 'requests', searchParams: { status: 'RESOLVED' } }),
+    'query is part of the key'
+  );
+  assert.throws(() => new FixtureStore({ dir, mode: 'rewind' }), /Unknown Spoke fixture mode: rewind/, 'mode checked');
+
+  await record(dir, (spoke) => spoke.listUsers({}));
+  const [file] = fs.readdirSync(dir);
+  const stale = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  stale.responses[0].body.results = [];
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(stale));
+
+  await record(dir, async (spoke, server) => {
+    assert.equal((await spoke.listUsers({})).body.results.length, 0, 'existing fixture replayed');
+    await spoke.listTags({});
+    assert.deepEqual(server.calls.map((call) => call.path), ['tags'], 'only the new call hit the server');
+  }, { mode: 'missing' });
+  assert.equal(fs.readdirSync(dir).length, 2, 'new call recorded');
+
+  await record(dir, (spoke) => spoke.listUsers({}));
+  const refreshed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  assert.equal(refreshed.responses.length, 1, 'record mode replaces stale responses');
+  assert.equal(refreshed.responses[0].body.results.length, 2, 'fixture updated from the server');
+  assert.end();
+});
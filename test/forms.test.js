@@ -0,0 +1,96 @@
+'use strict';
+const test = require('tape');
+const Spoke = require('../index.js');
+const { FakeSpokeServer, RequestTypeSchema } = Spoke;
+
+const laptopRequest = {
+  id: 'type-2',
+  title: 'Laptop Request',
+  fields: [
+    { id: 'f-model', label: 'Model', kind: 'SELECT', required: true, options: [{ label: 'MacBook Pro', value: 'mbp' }, 'ThinkPad'] },
+    { id: 'f-start', label: 'Start date', kind: 'DATE', required: true },
+    { id: 'f-count', label: 'Monitors', kind: 'NUMBER' },
+    { id: 'f-notes', label: 'Notes', kind: 'TEXTAREA' },
+    { id: 'f-extras', label: 'Extras', kind: 'MULTI_SELECT', options: ['Dock', 'Keyboard'] },
+    { id: 'f-loaner', label: 'Loaner', kind: 'CHECKBOX' }
+  ]
+};
+
+test('[forms] builds answeredFields by label', (assert) => {
+  const schema = new RequestTypeSchema(laptopRequest);
+  const payload = schema.requestPayload({
+    'model': 'MacBook Pro',
+    'Start date': new Date(2021, 6, 1, 12),
+    'Monitors': '2',
+    'Extras': ['dock', 'Keyboard'],
+    'Loaner': false
+  });
+  assert.deepEqual(payload, {
+    requestType: 'type-2',
+    requestTypeInfo: {
+      answeredFields: [
+        { fieldId: 'f-model', value: 'mbp' },
+        { fieldId: 'f-start', value: '2021-07-01' },
+        { fieldId: 'f-count', value: 2 },
+        { fieldId: 'f-extras', value: ['Dock', 'Keyboard'] },
+        { fieldId: 'f-loaner', value: false }
+      ]
+    }
+  }, 'labels mapped to field IDs and values coerced');
+  assert.end();
+});
+
+test('[forms] DATE fields keep the calendar day the caller gave', (assert) => {
+  const schema = new RequestTypeSchema(laptopRequest);
+  const startOf = (value) => schema.updatePayload({ 'Start date': value }).requestTypeInfo.answeredFields[0].value;
+  assert.equal(startOf('2021-07-01'), '2021-07-01', 'YYYY-MM-DD passed through unchanged');
+  assert.equal(startOf(new Date(2021, 6, 1)), '2021-07-01', 'local midnight stays on its day');
+  assert.equal(startOf(new Date(2021, 6, 1, 23, 30)), '2021-07-01', 'late evening stays on its day');
+  assert.end();
+});
+
+test('[forms] local validation names the offending fields', (assert) => {
+  const schema = new RequestTypeSchema(laptopRequest);
+  const errors = schema.validate({ 'Model': 'Chromebook', 'Monitors': 'two', 'Colour': 'red', 'Loaner': 'yes' });
+  assert.deepEqual(errors.map((error) => error.field), ['Model', 'Monitors', 'Colour', 'Loaner', 'Start date'], 'every bad field reported');
+  assert.ok(/must be one of: MacBook Pro, ThinkPad/.test(errors[0].message), 'select options listed');
+
+  try {
+    schema.requestPayload({ 'Model': 'ThinkPad', 'Start date': 'not a date' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeFormError, 'throws SpokeFormError');
+    assert.ok(error instanceof Spoke.SpokeValidationError, 'is a validation error');
+    assert.ok(/"Start date" must be a date/.test(error.message), 'message names the field');
+    assert.deepEqual(error.fields.map((field) => field.field), ['Start date'], 'fields attached');
+  }
+
+  assert.ok(/must be a real calendar date/.test(schema.validate({ 'Model': 'ThinkPad', 'Start date': '2021-02-30' })[0].message), 'impossible day rejected');
+  assert.deepEqual(schema.validate({ 'Notes': 'hi' }, { partial: true }), [], 'partial skips required fields');
+  assert.deepEqual(schema.updatePayload({ 'Notes': 'hi' }).requestTypeInfo.answeredFields, [{ fieldId: 'f-notes', value: 'hi' }], 'update payload');
+  assert.end();
+});
+
+test('[forms] schema loads request types by title or ID', async (assert) => {
+  const seed = FakeSpokeServer.defaultSeed();
+  seed.requestTypes.push(laptopRequest);
+  const server = new FakeSpokeServer({ seed });
+  await server.start();
+  const spoke = new Spoke(server.clientOptions());
+
+  const byTitle = await spoke.requestTypes.schema('Laptop Request');
+  const byId = await spoke.requestTypes.schema('type-2');
+  assert.equal(byTitle.field('Start date').id, 'f-start', 'loaded by title');
+  assert.equal(byId.id, 'type-2', 'loaded by ID');
+  assert.equal((await spoke.requestTypes.schema({ id: 'type-2' })).id, 'type-2', 'loaded by { id }');
+  assert.equal((await spoke.requestTypes.schema({ title: 'Laptop Request' })).id, 'type-2', 'loaded by { title }');
+
+  const { body: request } = await spoke.postRequest(Object.assign(
+    { subject: 'Laptop for new hire', requester: 'user-1' },
+    byTitle.requestPayload({ 'Model': 'ThinkPad', 'Start date': '2021-07-01' })
+  ));
+  assert.deepEqual(server.get('requests', request.id).requestTypeInfo.answeredFields[0], { fieldId: 'f-model', value: 'ThinkPad' }, 'payload accepted by postRequest');
+
+  await server.stop();
+  assert.end();
+});
@@ -0,0 +1,57 @@
+'use strict';
+const test = require('tape');
+const Spoke = require('../index.js');
+const { FakeSpokeServer } = Spoke;
+
+/** This function starts a FakeSpokeServer for each set of options, runs fn with them and stops them all
+ * @param {Object[]} serverOptions - FakeSpokeServer constructor options, one per server
+ * @param {Function} fn - async (...servers) => result
+ * @returns {Promise.*} fn's result
+ */
+async function withServers(serverOptions, fn) {
+  const servers = serverOptions.map((options) => new FakeSpokeServer(options));
+  const started = [];
+  try {
+    for (const server of servers) {
+      await server.start();
+      started.push(server);
+    }
+    return await fn(...servers);
+  } finally {
+    for (const server of started) await server.stop();
+  }
+}
+
+/** This function returns a tape test definer whose tests each run against a fresh FakeSpokeServer
+ * @param {Object} [setup]
+ * @param {Function} [setup.seed] - (seed) => seed, given FakeSpokeServer.defaultSeed() to change or replace
+ * @param {Object} [setup.client] - Spoke options added to the server's clientOptions()
+ * @param {Function} [setup.teardown] - run after each test, pass or fail
+ * @example <caption>Example serverTest usage</caption>
+ * const withServer = serverTest({ seed: (seed) => Object.assign(seed, { requests: [...] }) });
+ * withServer('[tags] setTags', async (assert, spoke, server) => { ... });
+ * withServer('[tags] strict', { validation: { strict: true } }, async (assert, spoke, server) => { ... });
+ * @returns {Function} (name, [Spoke options for this test], async (assert, spoke, server) => {})
+ */
+function serverTest(setup = {}) {
+  return (name, options, fn) => {
+    if (typeof options === 'function') [options, fn] = [undefined, options];
+    test(name, async (assert) => {
+      const seed = setup.seed ? setup.seed(FakeSpokeServer.defaultSeed()) : undefined;
+      try {
+        await withServers([{ seed }], (server) => {
+          const spoke = new Spoke(Object.assign(server.clientOptions(), setup.client, options));
+          return fn(assert, spoke, server);
+        });
+      } finally {
+        if (setup.teardown) await setup.teardown();
+      }
+      assert.end();
+    });
+  };
+}
+
+module.exports = {
+  withServers,
+  serverTest
+};
@@ -0,0 +1,137 @@
+'use strict';
+const test = require('tape');
+const sinon = require('sinon');
+const Spoke = require('../index.js');
+const { withServers } = require('./helpers');
+const { logger, metrics, redactFields, redactHeaders, endpointTemplate } = Spoke.hooks;
+
+const withServer = (name, fn) => test(name, async (assert) => {
+  await withServers([{}], (server) => fn(assert, server));
+  assert.end();
+});
+
+const transient = (statusCode, headers = {}) => Object.assign(new Error(`HTTP ${statusCode}`), {
+  response: { statusCode, headers }
+});
+
+withServer('[hooks] client and per-call hooks see every stage in order', async (assert, server) => {
+  const seen = [];
+  const recorder = (label) => ({
+    beforeRequest: (context) => seen.push(`${label}:before:${context.method} ${context.endpoint}`),
+    afterResponse: (context) => seen.push(`${label}:after:${context.statusCode}`),
+    onError: (context) => seen.push(`${label}:error:${context.error.name}`)
+  });
+  const spoke = new Spoke(Object.assign(server.clientOptions(), { hooks: recorder('client') }));
+
+  await spoke.requests.get('missing', { hooks: recorder('call') }).catch(() => {});
+  await spoke.listTeams({});
+  assert.deepEqual(seen, [
+    'client:before:GET requests/missing',
+    'call:before:GET requests/missing',
+    'client:error:SpokeNotFoundError',
+    'call:error:SpokeNotFoundError',
+    'client:before:GET teams',
+    'client:after:200'
+  ], 'client hooks run first, per-call hooks only for their call');
+});
+
+withServer('[hooks] beforeRequest can add headers and every call carries a correlation ID', async (assert, server) => {
+  const ids = [];
+  const spoke = new Spoke(server.clientOptions()).use({
+    beforeRequest: (context) => {
+      context.headers['X-Team'] = 'it';
+      ids.push(context.id);
+      assert.notOk('Api-key' in context.headers, 'hooks never see the api key');
+    }
+  });
+  await spoke.listUsers({});
+  await spoke.request({ method: 'GET', endpoint: 'tags', correlationId: 'job-42' });
+
+  const [first, second] = server.calls;
+  assert.equal(first.headers['x-team'], 'it', 'hook header sent');
+  assert.equal(first.headers['x-correlation-id'], ids[0], 'generated correlation ID sent');
+  assert.equal(second.headers['x-correlation-id'], 'job-42', 'caller correlation ID sent');
+  assert.equal(first.headers['api-key'], server.apiKey, 'api key still sent');
+});
+
+test('[hooks] onRetry runs before each retry with the same correlation ID', async (assert) => {
+  const events = [];
+  const spoke = new Spoke({
+    apiKey: 'abc',
+    retry: { baseDelay: 1 },
+    hooks: {
+      onRetry: (context) => events.push(['retry', context.id, context.attempt, context.error.status]),
+      afterResponse: (context) => events.push(['after', context.id, context.attempt, context.statusCode])
+    }
+  });
+  const client = sinon.stub();
+  client.onCall(0).rejects(transient(503));
+  client.onCall(1).resolves({ statusCode: 200, headers: {}, body: { id: 'req1' } });
+  sinon.stub(spoke, 'gotClient').returns(client);
+
+  await spoke.getRequest('req1');
+  assert.deepEqual(events.map((event) => [event[0], event[2], event[3]]), [['retry', 1, 503], ['after', 2, 200]], 'retry then response');
+  assert.equal(events[0][1], events[1][1], 'retries share the correlation ID');
+  sinon.restore();
+  assert.end();
+});
+
+withServer('[hooks] logger writes structured entries with redaction', async (assert, server) => {
+  const entries = [];
+  const spoke = new Spoke(Object.assign(server.clientOptions(), {
+    hooks: logger({ log: (entry) => entries.push(entry), bodies: true, redact: ['body', 'content.message.text'] })
+  }));
+  await spoke.postRequest({ subject: 'Laptop', requester: 'user-1', body: 'my password is hunter2' });
+  await spoke.getRequest('missing').catch(() => {});
+
+  assert.deepEqual(entries.map((entry) => `${entry.level} ${entry.event}`), [
+    'debug spoke.request', 'info spoke.response', 'debug spoke.request', 'error spoke.error'
+  ], 'one entry per stage');
+  assert.equal(entries[0].headers['Api-key'], '[REDACTED]', 'api key redacted');
+  assert.equal(entries[0].body.body, '[REDACTED]', 'request body field redacted');
+  assert.equal(entries[1].body.body, '[REDACTED]', 'response body field redacted');
+  assert.equal(entries[1].body.subject, 'Laptop', 'other fields kept');
+  assert.equal(entries[1].statusCode, 201, 'status logged');
+  assert.equal(typeof entries[1].duration, 'number', 'duration logged');
+  assert.equal(entries[3].error.status, 404, 'error summarized');
+  assert.notOk(JSON.stringify(entries).includes(server.apiKey), 'api key never logged');
+  assert.notOk(JSON.stringify(entries).includes('hunter2'), 'redacted field never logged');
+
+  const levels = [];
+  const pinoLike = { debug: () => levels.push('debug'), info: () => levels.push('info'), warn: () => {}, error: () => {} };
+  await spoke.request({ method: 'GET', endpoint: 'tags', hooks: logger({ log: pinoLike }) });
+  assert.deepEqual(levels, ['debug', 'info'], 'logger objects receive entries by level');
+});
+
+withServer('[hooks] metrics counts calls by endpoint template and status', async (assert, server) => {
+  const emitted = [];
+  const hook = metrics({ emit: (metric) => emitted.push(metric) });
+  const spoke = new Spoke(Object.assign(server.clientOptions(), { hooks: [hook] }));
+  const { body } = await spoke.postRequest({ subject: 'Laptop', requester: 'user-1' });
+  await spoke.getRequest(body.id);
+  await spoke.getRequest('other').catch(() => {});
+  await spoke.getRequest('missing').catch(() => {});
+
+  const { counters, timings } = hook.snapshot();
+  const count = (method, endpoint, status) => (counters.find((entry) => entry.name === 'spoke.request.count' &&
+    entry.tags.method === method && entry.tags.endpoint === endpoint && entry.tags.status === status) || {}).value;
+  assert.equal(count('POST', 'requests', 201), 1, 'create counted');
+  assert.equal(count('GET', 'requests/:id', 200), 1, 'get counted under the template');
+  assert.equal(count('GET', 'requests/:id', 404), 2, 'failures counted by status');
+  const getTiming = timings.find((entry) => entry.tags.endpoint === 'requests/:id' && entry.tags.status === 404);
+  assert.equal(getTiming.count, 2, 'latency recorded per call');
+  assert.ok(getTiming.max >= 0 && getTiming.sum >= getTiming.max, 'latency totals');
+  assert.equal(emitted.filter((metric) => metric.type === 'counter').length, 4, 'counter emitted per call');
+  assert.equal(emitted.filter((metric) => metric.type === 'timing').length, 4, 'timing emitted per call');
+});
+
+test('[hooks] helpers', (assert) => {
+  assert.equal(endpointTemplate('requests/abc/tags/def'), 'requests/:id/tags/:id', 'ids replaced');
+  assert.deepEqual(redactHeaders({ 'If-Match': '"3"', authorization: 'x' }), { 'Api-key': '[REDACTED]', 'If-Match': '"3"' }, 'credentials dropped');
+  assert.deepEqual(
+    redactFields({ requestTypeInfo: { answeredFields: [{ fieldId: 'a', value: 1 }, { fieldId: 'b', value: 2 }] } }, ['requestTypeInfo.answeredFields.value']),
+    { requestTypeInfo: { answeredFields: [{ fieldId: 'a', value: '[REDACTED]' }, { fieldId: 'b', value: '[REDACTED]' }] } },
+    'arrays redacted element-wise'
+  );
+  assert.end();
+});
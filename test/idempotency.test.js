@@ -0,0 +1,78 @@
+'use strict';
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+
+const withServer = serverTest({
+  seed: (seed) => Object.assign(seed, {
+    requests: [
+      { id: 'req-old', subject: 'Deprovision ada@example.com', requester: 'user-1', requestType: 'type-1', status: 'RESOLVED' }
+    ]
+  })
+});
+
+const alert = { subject: 'Deprovision ada@example.com', requester: 'ada@example.com', requestType: { title: 'Account Deprovisioning Alert' }, body: 'Okta alert 17' };
+
+withServer('[idempotency] an idempotency key creates once and then matches', async (assert, spoke, server) => {
+  const first = await spoke.postRequest(alert, { idempotencyKey: 'alert-17' });
+  assert.equal(first.outcome, 'created', 'created first time');
+  assert.equal(first.statusCode, 201, 'got response returned');
+  assert.equal(server.get('requests', first.body.id).body, 'Okta alert 17\n\nIdempotency-Key: alert-17', 'key written into the body');
+
+  const [second, third] = await Promise.all([
+    spoke.postRequest(alert, { idempotencyKey: 'alert-17' }),
+    spoke.postRequest(alert, { idempotencyKey: 'alert-17' })
+  ]);
+  assert.deepEqual([second.outcome, third.outcome], ['matched', 'matched'], 'duplicates matched, even concurrently');
+  assert.equal(second.body.id, first.body.id, 'existing request returned');
+
+  const other = await spoke.postRequest(alert, { idempotencyKey: 'alert-1' });
+  assert.equal(other.outcome, 'created', 'a key that is a prefix of another does not match');
+  assert.equal(server.list('requests').length, 3, 'two requests created in total');
+
+  await spoke.postRequest(Object.assign({}, alert, { body: 'Same user as alert-22' }));
+  const mentioned = await spoke.postRequest(alert, { idempotencyKey: 'alert-22' });
+  assert.equal(mentioned.outcome, 'created', 'a body that only mentions the key does not match');
+});
+
+withServer('[idempotency] dedupe matches open requests with the same fields', async (assert, spoke, server) => {
+  const first = await spoke.requests.createOnce(alert, { dedupe: true });
+  assert.equal(first.outcome, 'created', 'resolved request does not count');
+  assert.ok(first.request instanceof Spoke.models.SpokeRequest, 'model returned');
+
+  const again = await spoke.requests.createOnce(Object.assign({}, alert, { subject: 'deprovision ADA@example.com ' }), { dedupe: true });
+  assert.equal(again.outcome, 'matched', 'subject compared case-insensitively');
+  assert.equal(again.request.id, first.request.id, 'same request');
+
+  const byRequester = await spoke.requests.createOnce({ subject: 'Something else', requester: 'user-1' }, { dedupe: ['requester'] });
+  assert.equal(byRequester.outcome, 'matched', 'custom field list');
+
+  const predicate = await spoke.requests.createOnce(alert, { dedupe: (candidate) => candidate.id === 'nope' });
+  assert.equal(predicate.outcome, 'created', 'predicate decides');
+  assert.equal(server.list('requests').length, 3, 'no extra duplicates');
+});
+
+withServer('[idempotency] onDuplicate note posts a message on the existing request', async (assert, spoke, server) => {
+  const first = await spoke.requests.createOnce(alert, { idempotencyKey: 'alert-17' });
+  const second = await spoke.requests.createOnce(Object.assign({}, alert, { body: 'Okta alert 17 (resent)' }), {
+    idempotencyKey: 'alert-17',
+    onDuplicate: 'note'
+  });
+  assert.equal(second.outcome, 'updated', 'updated outcome');
+  assert.equal(second.request.id, first.request.id, 'existing request');
+  const [note] = server.messages(first.request.id);
+  assert.equal(note.actor.ref, 'user-1', 'posted as the requester');
+  assert.equal(note.content.message.text, 'The same request was submitted again:\n\nOkta alert 17 (resent)', 'default note');
+  assert.equal(second.message.id, note.id, 'message returned');
+
+  await spoke.requests.createOnce(alert, { idempotencyKey: 'alert-17', onDuplicate: 'note', actor: 'bob@example.com', note: (existing) => `Seen again (${existing.id})` });
+  const notes = server.messages(first.request.id);
+  assert.equal(notes[1].content.message.text, `Seen again (${first.request.id})`, 'custom note');
+  assert.equal(notes[1].actor.ref, 'user-2', 'custom actor');
+
+  try {
+    await spoke.requests.createOnce(alert, {});
+    assert.fail('should throw');
+  } catch (error) {
+    assert.ok(/idempotencyKey or a dedupe rule/.test(error.message), 'needs a key or rule');
+  }
+});
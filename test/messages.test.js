@@ -0,0 +1,99 @@
+'use strict';
+const test = require('tape');
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const { SpokePayloadError } = Spoke;
+const { renderTemplate } = Spoke.messages;
+
+const withServer = serverTest({
+  seed: (seed) => Object.assign(seed, {
+    requests: [{ id: 'req-1', subject: 'New laptop', requester: 'user-1', team: 'team-1', tags: ['tag-1'] }],
+    messages: {
+      'req-1': Array.from({ length: 30 }, (v, i) => ({ actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: `message ${i}` } } }))
+    }
+  })
+});
+
+const last = (server) => server.messages('req-1')[server.messages('req-1').length - 1];
+
+test('[messages] renderTemplate interpolates paths with fallbacks', (assert) => {
+  const context = { subject: 'New laptop', owner: null, requester: { displayName: 'Ada' }, tags: [{ name: 'laptop' }, { name: 'urgent' }] };
+  assert.equal(renderTemplate('Hi {{requester.displayName}}, re "{{ subject }}"', context), 'Hi Ada, re "New laptop"', 'paths interpolated');
+  assert.equal(renderTemplate('{{ owner.displayName | the team }} / {{ missing }}', context), 'the team / ', 'fallback and empty value');
+  assert.equal(renderTemplate('{{ tags.name }}', context), 'laptop, urgent', 'arrays joined');
+  assert.equal(renderTemplate((c) => c.subject.toUpperCase(), context), 'NEW LAPTOP', 'function templates');
+  assert.end();
+});
+
+withServer('[messages] list and iterate a request thread', {}, async (assert, spoke) => {
+  const page = await spoke.messages.list('req-1', { limit: 10 });
+  assert.equal(page.length, 10, 'one page');
+  const response = await spoke.listMessages('req-1', { limit: 5, start: 25 });
+  assert.equal(response.body.results[0].content.message.text, 'message 25', 'flat method returns the response');
+
+  const texts = [];
+  for await (const message of spoke.iterateMessages('req-1')) texts.push(message.content.message.text);
+  assert.equal(texts.length, 30, 'every page followed');
+  assert.equal((await spoke.messages.listAll('req-1', {}, { maxItems: 12 })).length, 12, 'listAll honours maxItems');
+  assert.equal((await (await spoke.requests.get('req-1')).messages()).length, 30, 'model messages()');
+});
+
+withServer('[messages] replies and private notes post as a user given by email', {}, async (assert, spoke, server) => {
+  const reply = await spoke.reply('req-1', 'Ordered', { actor: 'bob@example.com' });
+  assert.equal(reply.actor.ref, 'user-2', 'actor resolved from email');
+  assert.equal(last(server).privacyLevel, undefined, 'replies are public');
+
+  await spoke.addNote('req-1', 'Waiting on vendor', { actor: { email: 'ada@example.com' } });
+  assert.equal(last(server).privacyLevel, 'PRIVATE', 'note is private');
+  assert.equal(last(server).actor.ref, 'user-1', 'reference actor');
+
+  const response = await spoke.postMessage('req-1', 'Plain text', { actor: 'user-2', private: true });
+  assert.equal(response.statusCode, 201, 'postMessage accepts text');
+  assert.equal(last(server).privacyLevel, 'PRIVATE', 'postMessage private option');
+
+  try {
+    await spoke.reply('req-1', 'Nobody');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(/An actor is required/.test(error.message), 'actor required without a default');
+  }
+  try {
+    await spoke.postMessage('req-1', { actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: 'x' } }, privacyLevel: 7 });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof SpokePayloadError, 'privacyLevel is checked');
+  }
+});
+
+withServer('[messages] default actor and templates per client', {
+  actor: 'bob@example.com',
+  templates: {
+    ack: 'Hi {{ requester.displayName }}, {{ team.name }} has "{{ subject }}" ({{ owner.displayName | unassigned }}). {{ eta | soon }}'
+  }
+}, async (assert, spoke, server) => {
+  await spoke.reply('req-1', { template: 'ack', data: { eta: 'Friday' } });
+  assert.equal(last(server).content.message.text, 'Hi Ada Admin, Information Technology has "New laptop" (unassigned). Friday', 'template rendered');
+  assert.equal(last(server).actor.ref, 'user-2', 'posted as the default actor');
+
+  const listings = () => server.calls.filter((call) => ['users', 'teams'].includes(call.path) && !call.query.q).length;
+  const before = listings();
+  await Promise.all([1, 2, 3].map(() => spoke.messages.render('ack', 'req-1')));
+  assert.equal(listings(), before, 'referenced users and teams come from the resolver cache');
+
+  const request = await spoke.requests.get('req-1');
+  await request.note({ template: 'Tagged {{ tags }}' }, { actor: 'user-1' });
+  assert.equal(last(server).content.message.text, 'Tagged tag-1', 'inline template on a model, explicit actor');
+  assert.equal(last(server).actor.ref, 'user-1', 'explicit actor wins');
+
+  spoke.messages.define('bye', (context) => `Closing ${context.subject}`);
+  assert.equal(await spoke.messages.render('bye', { subject: 'Printer' }), 'Closing Printer', 'render a loaded request');
+
+  const posted = server.messages('req-1').length;
+  try {
+    await spoke.reply('req-1', { template: 'ackk' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.equal(error.message, 'Unknown message template: ackk', 'misspelled template name');
+  }
+  assert.equal(server.messages('req-1').length, posted, 'nothing posted');
+});
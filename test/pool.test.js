@@ -0,0 +1,155 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const Spoke = require('../index.js');
+const { withServers } = require('./helpers');
+const { FakeSpokeServer, SpokePool, SpokeResolveError } = Spoke;
+
+const withPool = (name, fn) => test(name, async (assert) => {
+  const itSeed = FakeSpokeServer.defaultSeed();
+  itSeed.requests = [
+    { id: 'req-1', subject: 'Payroll access', body: 'Need payroll access', requester: 'user-1', owner: 'user-2', tags: ['tag-1', 'tag-2'] },
+    { id: 'req-2', subject: 'Bob only', requester: 'user-2' }
+  ];
+  itSeed.messages = {
+    'req-1': [
+      { actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: 'hello' } } },
+      { actor: { kind: 'User', ref: 'user-2' }, content: { message: { text: 'internal' } }, privacyLevel: 'PRIVATE' }
+    ]
+  };
+  const peopleSeed = {
+    users: [
+      { id: 'p-1', displayName: 'Ada Admin', email: 'Ada@example.com' },
+      { id: 'p-2', displayName: 'Carol Coordinator', email: 'carol@example.com' }
+    ],
+    teams: [{ id: 'team-p', name: 'People Ops', settings: { delegation: { strategy: 'ROUND_ROBIN', excludedUsers: [] } } }],
+    tags: [{ id: 'pt-1', name: 'laptop' }],
+    requestTypes: [],
+    requests: []
+  };
+  await withServers([{ seed: itSeed }, { seed: peopleSeed, apiKey: 'people-key' }], (it, people) => {
+    const pool = new SpokePool({
+      default: 'it',
+      defaults: { retry: 1, timeout: 5000 },
+      workspaces: {
+        it: Object.assign(it.clientOptions(), { actor: 'ada@example.com' }),
+        people: Object.assign(people.clientOptions(), { team: { name: 'People Ops' }, actor: 'carol@example.com' })
+      }
+    });
+    return fn(assert, pool, it, people);
+  });
+  assert.end();
+});
+
+withPool('[pool] hands out shared clients per workspace', async (assert, pool, it, people) => {
+  assert.deepEqual(pool.names(), ['it', 'people'], 'workspace names');
+  assert.equal(pool.get('it'), pool.get('it'), 'clients are shared');
+  assert.equal(pool.get(), pool.get('it'), 'default workspace');
+  assert.notEqual(pool.get('people'), pool.get('it'), 'one client per workspace');
+  assert.throws(() => pool.get('finance'), /Unknown Spoke workspace finance \(configured: it, people\)/, 'unknown workspace');
+
+  const created = await pool.get('people').postRequest({ subject: 'Benefits', requester: 'carol@example.com' });
+  assert.equal(people.get('requests', created.body.id).team, 'team-p', 'workspace default team applied');
+  assert.equal(it.list('requests').length, 2, 'other workspace untouched');
+
+  const counts = await pool.map(async (spoke) => (await spoke.listAll('users', {})).length);
+  assert.deepEqual(counts, { it: 2, people: 2 }, 'map runs per workspace');
+});
+
+withPool('[pool] moveRequest copies subject, body, tags and messages', async (assert, pool, it, people) => {
+  const moved = await pool.moveRequest('req-1', { from: 'it', to: 'people' });
+  assert.equal(moved.outcome, 'created', 'copy created');
+  assert.deepEqual(moved.from, { workspace: 'it', id: 'req-1' }, 'source reported');
+
+  const copy = people.get('requests', moved.to.id);
+  assert.equal(copy.subject, 'Payroll access', 'subject copied');
+  assert.ok(copy.body.startsWith('Need payroll access'), 'body copied');
+  assert.equal(copy.requester, 'p-1', 'requester matched by email');
+  assert.equal(copy.owner, undefined, 'owner without an account left unassigned');
+  assert.equal(copy.team, 'team-p', 'target default team');
+  const urgent = people.list('tags').find((tag) => tag.name === 'urgent');
+  assert.ok(urgent, 'missing tag created');
+  assert.deepEqual(copy.tags, ['pt-1', urgent.id], 'tags copied by name');
+  assert.equal(moved.messages, 2, 'messages counted');
+
+  assert.ok(copy.body.endsWith('Idempotency-Key: it:req-1:people'), 'idempotency key names both workspaces');
+
+  const [first, second] = it.messages('req-1');
+  const [hello, internal] = people.messages(moved.to.id);
+  assert.deepEqual([hello.actor.ref, hello.content.message.text, hello.privacyLevel],
+    ['p-1', `hello\n\nCopied-From: it message ${first.id}`, undefined], 'message posted as the same user');
+  assert.equal(internal.actor.ref, 'p-2', 'unmatched author falls back to the workspace actor');
+  assert.equal(internal.content.message.text, `Bob Builder wrote:\n\ninternal\n\nCopied-From: it message ${second.id}`, 'attribution added');
+  assert.equal(internal.privacyLevel, 'PRIVATE', 'private notes stay private');
+
+  const original = it.get('requests', 'req-1');
+  assert.equal(original.status, 'RESOLVED', 'original resolved');
+  const note = it.messages('req-1')[2];
+  assert.equal(note.content.message.text, `Moved to the people workspace as request ${moved.to.id}.`, 'original points to the copy');
+  assert.deepEqual([note.privacyLevel, note.actor.ref], ['PRIVATE', 'user-1'], 'note posted privately by the source actor');
+
+  const again = await pool.moveRequest('req-1', { from: 'it', to: 'people' });
+  assert.equal(again.outcome, 'matched', 'rerun finds the copy');
+  assert.equal(again.to.id, moved.to.id, 'same copy');
+  assert.equal(again.messages, 0, 'no messages copied twice');
+  assert.equal(people.list('requests').length, 1, 'no duplicate request');
+  assert.equal(it.messages('req-1').length, 3, 'no second note on the original');
+});
+
+withPool('[pool] moveRequest resumes by source message', async (assert, pool, it, people) => {
+  const moved = await pool.moveRequest('req-1', { from: 'it', to: 'people', source: 'keep' });
+  const thread = people.messages(moved.to.id);
+  thread.shift();
+  await pool.get('people').requests.message(moved.to.id, 'Picked up by People Ops', { actor: 'carol@example.com' });
+
+  const again = await pool.moveRequest('req-1', { from: 'it', to: 'people', source: 'keep' });
+  assert.equal(again.messages, 1, 'only the missing message copied');
+  const texts = people.messages(moved.to.id).map((message) => message.content.message.text);
+  assert.equal(texts.length, 3, 'reply in the target does not stand in for a copy');
+  assert.ok(texts[2].startsWith('hello\n\nCopied-From: it message '), 'missing message copied again');
+});
+
+withPool('[pool] moveRequest needs a requester in the target workspace', async (assert, pool, it, people) => {
+  try {
+    await pool.moveRequest('req-2', { from: 'it', to: 'people' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof SpokeResolveError, 'SpokeResolveError');
+    assert.ok(error.message.includes('bob@example.com'), 'names the requester');
+  }
+  assert.equal(people.list('requests').length, 0, 'nothing created');
+
+  const moved = await pool.moveRequest('req-2', { from: 'it', to: 'people', requester: 'carol@example.com', source: 'delete' });
+  assert.equal(people.get('requests', moved.to.id).requester, 'p-2', 'requester option used');
+  assert.equal(it.get('requests', 'req-2'), undefined, 'original deleted');
+  try {
+    await pool.moveRequest('req-1', { from: 'it', to: 'it' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.equal(error.message, 'A request can only be moved between two different workspaces', 'same workspace rejected');
+  }
+});
+
+test('[pool] config validation and fromFile', (assert) => {
+  assert.throws(() => new SpokePool({ workspaces: {} }), /at least one workspace/, 'workspaces required');
+  assert.throws(() => new SpokePool({ default: 'x', workspaces: { it: {} } }), /Default workspace x/, 'default must exist');
+  assert.throws(() => new SpokePool({ workspaces: { it: { apiKey: 'a' } } }).get(), /no default/, 'get without name or default');
+
+  const file = path.join(os.tmpdir(), `spoke-pool-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    defaults: { timeout: 2000, baseUrl: 'http://localhost:1/api/v1/' },
+    workspaces: { it: { apiKeyEnv: 'SPOKE_IT_KEY', team: 'team-1' }, people: { apiKeyEnv: 'SPOKE_PEOPLE_KEY' } }
+  }));
+  try {
+    const pool = SpokePool.fromFile(file);
+    assert.equal(pool.get('it').defaultTeam, 'team-1', 'workspace options');
+    assert.equal(pool.get('people').baseUrl, 'http://localhost:1/api/v1/', 'defaults merged');
+    assert.equal(pool.get('people').gotClient().defaults.options.timeout.request, 2000, 'timeout passed to got');
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assert.throws(() => SpokePool.fromFile(file), /Could not load SpokePool config/, 'missing file');
+  assert.end();
+});
@@ -0,0 +1,110 @@
+'use strict';
+const test = require('tape');
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const fixture = require('./fixtures/service-report.json');
+const { percentile, analyzeRequests, reportRows, reportCsv } = Spoke.reports;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = new Date('2021-06-30T00:00:00.000Z');
+
+const withServer = serverTest({
+  seed: (seed) => {
+    for (const collection of ['users', 'teams', 'requests']) seed[collection] = seed[collection].concat(fixture[collection]);
+    seed.messages = fixture.messages;
+    return seed;
+  }
+});
+
+const byName = (groups, name) => groups.find((group) => group.name === name);
+
+test('[reports] percentile interpolates between ranks', (assert) => {
+  assert.equal(percentile([], 0.5), null, 'null without values');
+  assert.equal(percentile([7], 0.9), 7, 'single value');
+  assert.equal(percentile([4, 1, 3, 2], 0.5), 2.5, 'median of an even count');
+  assert.equal(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 0.9), 9.1, 'p90 like PERCENTILE.INC');
+  assert.end();
+});
+
+test('[reports] analyzeRequests without names falls back to IDs', (assert) => {
+  const report = analyzeRequests([
+    { id: 'a', team: 't', status: 'OPEN', createdAt: '2021-06-29T00:00:00.000Z' },
+    { id: 'b', status: 'RESOLVED', createdAt: '2021-06-28T00:00:00.000Z', updatedAt: '2021-06-28T06:00:00.000Z' }
+  ], { now });
+  assert.equal(report.generatedAt, now.toISOString(), 'generatedAt is now');
+  assert.deepEqual(report.byTeam.map((group) => [group.key, group.name]), [[null, '(none)'], ['t', 't']], 'groups by ID');
+  assert.equal(report.totals.resolution.median, 6 * HOUR, 'updatedAt used when there is no resolvedAt');
+  assert.equal(report.totals.firstResponse.median, null, 'no first responses without messages');
+  assert.equal(report.totals.backlog['1-3d'], 1, 'open request bucketed by age');
+  assert.end();
+});
+
+withServer('[reports] serviceReport computes per-group metrics for a date range', async (assert, spoke) => {
+  const report = await spoke.serviceReport({}, { since: '2021-06-01', now, sla: { resolution: 3 * DAY } });
+  assert.equal(report.since, '2021-06-01T00:00:00.000Z', 'range reported');
+  assert.equal(report.totals.total, 8, 'request outside the range left out');
+  assert.equal(report.totals.open, 4, 'open count');
+  assert.equal(report.totals.resolution.median, 17 * HOUR, 'overall median resolution');
+  assert.equal(Math.round(report.totals.resolution.p90 / HOUR * 10) / 10, 74.4, 'overall p90 resolution');
+  assert.deepEqual(report.totals.backlog, { '<1d': 1, '1-3d': 1, '3-7d': 0, '7-30d': 2, '30d+': 0 }, 'backlog by age');
+
+  const it = byName(report.byTeam, 'Information Technology');
+  assert.equal(it.key, 'team-1', 'team keyed by ID');
+  assert.deepEqual([it.total, it.open, it.resolved], [5, 2, 3], 'team counts');
+  assert.equal(it.resolution.median, 24 * HOUR, 'team median');
+  assert.equal(Math.round(it.resolution.p90 / HOUR * 10) / 10, 81.6, 'team p90');
+  assert.equal(it.breaches, 2, 'team breaches');
+  assert.equal(byName(report.byTeam, '(none)').total, 1, 'requests without a team grouped');
+  assert.equal(byName(report.byOwner, 'Ada Admin').resolution.median, 17 * HOUR, 'owner metrics');
+  assert.equal(byName(report.byOwner, '(none)').backlog['7-30d'], 2, 'unassigned backlog');
+  assert.equal(byName(report.byRequestType, 'Account Deprovisioning Alert').resolved, 2, 'request type metrics');
+
+  assert.deepEqual(report.breaches.map((breach) => breach.id), ['r9', 'r5', 'r3'], 'breaches, worst first');
+  assert.deepEqual(report.breaches[2], {
+    id: 'r3', subject: 'Printer jam', status: 'CLOSED', team: 'team-1', requestType: 'type-1', owner: 'user-2',
+    kind: 'resolution', elapsed: 4 * DAY, limit: 3 * DAY
+  }, 'breach detail');
+});
+
+withServer('[reports] serviceReport measures first responses for a team set', async (assert, spoke, server) => {
+  const report = await spoke.serviceReport({ team: ['Information Technology', 'team-2'] }, {
+    since: '2021-06-01',
+    now,
+    includeMessages: true,
+    sla: { firstResponse: (request) => (request.team === 'team-2' ? DAY : 8 * HOUR) }
+  });
+  assert.deepEqual(server.calls.filter((call) => call.path === 'requests').map((call) => call.query.team), ['team-1', 'team-2'], 'paged per team');
+  assert.ok(server.calls.filter((call) => call.path === 'requests').every((call) => call.query.createdSince === '2021-06-01T00:00:00.000Z'),
+    'date window sent with every listing');
+  assert.equal(report.totals.total, 7, 'requests without a team left out');
+  assert.equal(report.totals.firstResponse.median, 2 * HOUR, 'requester messages do not count as responses');
+  assert.equal(Math.round(report.totals.firstResponse.p90 / HOUR * 10) / 10, 6.8, 'first response p90');
+  assert.equal(byName(report.byTeam, 'Information Technology').firstResponse.median, 5 * HOUR, 'team first response');
+  assert.deepEqual(report.breaches.map((breach) => [breach.id, breach.kind]), [['r5', 'firstResponse'], ['r7', 'firstResponse'], ['r4', 'firstResponse']],
+    'open requests still waiting count against the SLA');
+
+  const rows = reportRows(report, 'byTeam');
+  assert.deepEqual(rows[0], {
+    key: 'team-1',
+    name: 'Information Technology',
+    total: 5,
+    open: 2,
+    resolved: 3,
+    resolutionMedianHours: 24,
+    resolutionP90Hours: 81.6,
+    firstResponseMedianHours: 5,
+    firstResponseP90Hours: 7.4,
+    'backlog <1d': 1,
+    'backlog 1-3d': 0,
+    'backlog 3-7d': 0,
+    'backlog 7-30d': 1,
+    'backlog 30d+': 0,
+    breaches: 2
+  }, 'rows in hours');
+  const csv = reportCsv(report, 'breaches').split('\r\n');
+  assert.equal(csv[0], 'id,subject,status,team,requestType,owner,kind,elapsedHours,limitHours', 'breach CSV header');
+  assert.equal(csv[1], 'r5,Software licence,OPEN,team-1,,,firstResponse,240,8', 'breach CSV row');
+  assert.equal(reportRows(report, 'totals')[0].total, 7, 'totals row');
+  assert.throws(() => reportRows(report, 'byNothing'), /Unknown report section/, 'unknown section');
+});
@@ -0,0 +1,92 @@
+'use strict';
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const { FakeSpokeServer } = Spoke;
+
+const seed = () => Object.assign(FakeSpokeServer.defaultSeed(), {
+  teams: [
+    { id: 'team-1', name: 'Information Technology', settings: { delegation: { strategy: 'ROUND_ROBIN', excludedUsers: [] } } },
+    { id: 'team-2', name: 'Information Technology Contractors', settings: { delegation: { strategy: 'ROUND_ROBIN' } } },
+    { id: 'team-3', name: 'People Ops' },
+    { id: 'team-4', name: 'people ops' }
+  ]
+});
+
+const withServer = serverTest({ seed });
+
+withServer('[resolvers] resolve exact matches', async (assert, spoke) => {
+  assert.equal((await spoke.resolveTeam('Information Technology')).id, 'team-1', 'exact team name wins over fuzzy hits');
+  assert.equal((await spoke.resolveUser('BOB@example.com')).id, 'user-2', 'user by email, case-insensitive');
+  assert.equal((await spoke.resolveUser('Ada Admin')).id, 'user-1', 'user by display name');
+  assert.equal((await spoke.resolveTag('urgent')).id, 'tag-2', 'tag by name');
+  assert.equal((await spoke.resolveRequestType('Account Deprovisioning Alert')).id, 'type-1', 'request type by title');
+});
+
+withServer('[resolvers] zero and several matches throw', async (assert, spoke) => {
+  try {
+    await spoke.resolveTeam('Information');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeResolveError, 'no exact match is a resolve error');
+    assert.equal(error.matches.length, 0, 'no matches reported');
+  }
+  try {
+    await spoke.resolveTeam('People Ops');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(/2 teams match "People Ops"/.test(error.message), 'ambiguous match reported');
+    assert.deepEqual(error.matches.map((team) => team.id), ['team-3', 'team-4'], 'candidates attached');
+  }
+});
+
+withServer('[resolvers] lookups are cached until the TTL expires', async (assert, spoke, server) => {
+  await spoke.resolveTag('laptop');
+  await spoke.resolveTag('Laptop');
+  assert.equal(server.calls.filter((call) => call.path === 'tags').length, 1, 'second lookup served from cache');
+
+  spoke.clearResolverCache();
+  await spoke.resolveTag('laptop');
+  assert.equal(server.calls.filter((call) => call.path === 'tags').length, 2, 'cache cleared');
+
+  const uncached = new Spoke(Object.assign(server.clientOptions(), { resolverTtl: 0 }));
+  await uncached.resolveTag('laptop');
+  await uncached.resolveTag('laptop');
+  assert.equal(server.calls.filter((call) => call.path === 'tags').length, 4, 'ttl 0 disables the cache');
+
+  const users = () => server.calls.filter((call) => call.path === 'users').length;
+  const [ada, bob] = await Promise.all([spoke._resolver.byId('users', 'user-1'), spoke._resolver.byId('users', 'user-2')]);
+  assert.deepEqual([ada.email, bob.email], ['ada@example.com', 'bob@example.com'], 'records found by ID');
+  assert.equal(users(), 1, 'concurrent ID lookups share one listing');
+  assert.equal(await spoke._resolver.byId('users', 'user-9'), undefined, 'unknown ID');
+  await spoke._resolver.byId('users', 'user-1');
+  assert.equal(users(), 1, 'known and unknown IDs served from the cached listing');
+  spoke.clearResolverCache();
+  await spoke._resolver.byId('users', 'user-1');
+  assert.equal(users(), 2, 'listed again once the cache is cleared');
+});
+
+withServer('[resolvers] mutating methods accept human-readable references', async (assert, spoke, server) => {
+  const { body: request } = await spoke.postRequest({
+    subject: 'Offboard',
+    requester: 'ada@example.com',
+    team: { name: 'Information Technology' },
+    requestType: { title: 'Account Deprovisioning Alert' }
+  });
+  const stored = server.get('requests', request.id);
+  assert.equal(stored.requester, 'user-1', 'requester email resolved');
+  assert.equal(stored.team, 'team-1', 'team name resolved');
+  assert.equal(stored.requestType, 'type-1', 'request type title resolved');
+
+  await spoke.updateRequest(request.id, { owner: { displayName: 'Bob Builder' } });
+  assert.equal(server.get('requests', request.id).owner, 'user-2', 'owner resolved on update');
+
+  await spoke.addTags(request.id, { tags: [{ name: 'laptop' }, { _id: 'tag-2' }] });
+  assert.deepEqual(server.get('requests', request.id).tags, ['tag-1', 'tag-2'], 'tag names resolved');
+
+  await spoke.updateTeam({ name: 'Information Technology' }, {
+    settings: { delegation: { strategy: 'SPECIFIC_USER', specifiedUser: 'bob@example.com', excludedUsers: ['ada@example.com'] } }
+  });
+  const delegation = server.get('teams', 'team-1').settings.delegation;
+  assert.equal(delegation.specifiedUser, 'user-2', 'specified user resolved');
+  assert.deepEqual(delegation.excludedUsers, ['user-1'], 'excluded users resolved');
+});
@@ -0,0 +1,63 @@
+'use strict';
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const { models } = Spoke;
+
+const withServer = serverTest();
+
+withServer('[resources] requests sub-client returns SpokeRequest models', async (assert, spoke, server) => {
+  const request = await spoke.requests.create({ subject: 'Monitor', requester: 'ada@example.com' });
+  assert.ok(request instanceof models.SpokeRequest, 'create returns a SpokeRequest');
+  assert.equal(request.requester, 'user-1', 'requester resolved');
+  assert.deepEqual(Object.keys(JSON.parse(JSON.stringify(request))).sort(), Object.keys(server.get('requests', request.id)).sort(), 'serializes to plain fields');
+
+  const fetched = await spoke.requests.get(request.id);
+  assert.equal(fetched.subject, 'Monitor', 'get returns the request');
+
+  await fetched.addTags([{ name: 'laptop' }], 'tag-2');
+  assert.deepEqual(fetched.tags, ['tag-1', 'tag-2'], 'addTags updates the model');
+  await fetched.removeTag({ name: 'laptop' });
+  assert.deepEqual(fetched.tags, ['tag-2'], 'removeTag updates the model');
+
+  await fetched.update({ status: 'RESOLVED' });
+  assert.equal(fetched.status, 'RESOLVED', 'update applies changes to the model');
+
+  const message = await fetched.reply('Shipped', { actor: 'bob@example.com' });
+  assert.equal(message.actor.ref, 'user-2', 'reply posted as the resolved actor');
+  assert.equal(server.messages(request.id)[0].content.message.text, 'Shipped', 'reply stored');
+
+  const list = await spoke.requests.list({ status: 'RESOLVED' });
+  assert.ok(list[0] instanceof models.SpokeRequest, 'list returns models');
+
+  const raw = await spoke.requests.get(request.id, { raw: true });
+  assert.equal(raw.statusCode, 200, 'raw exposes the status');
+  assert.equal(raw.headers['content-type'], 'application/json', 'raw exposes the headers');
+
+  await fetched.delete();
+  assert.equal(server.get('requests', request.id), undefined, 'delete removes the request');
+});
+
+withServer('[resources] teams, users, tags and request types', async (assert, spoke, server) => {
+  const team = await spoke.teams.resolve('Information Technology');
+  assert.ok(team instanceof models.Team, 'resolve returns a Team');
+  await team.setDelegation({ strategy: 'SPECIFIC_USER', specifiedUser: 'bob@example.com' });
+  assert.equal(team.settings.delegation.specifiedUser, 'user-2', 'setDelegation resolves users and updates the model');
+  assert.equal(server.get('teams', 'team-1').settings.delegation.strategy, 'SPECIFIC_USER', 'delegation stored');
+
+  const users = await spoke.users.listAll();
+  assert.ok(users.every((user) => user instanceof models.User), 'users are User models');
+  const tags = [];
+  for await (const tag of spoke.tags.iterate({ limit: 1 })) tags.push(tag);
+  assert.ok(tags.length === 2 && tags[0] instanceof models.Tag, 'tags iterate as Tag models');
+  const [requestType] = await spoke.requestTypes.list();
+  assert.ok(requestType instanceof models.RequestType, 'request types are RequestType models');
+});
+
+withServer('[resources] flat methods still return got responses', async (assert, spoke) => {
+  const response = await spoke.postRequest({ subject: 'Flat', requester: 'user-1' });
+  assert.equal(response.statusCode, 201, 'postRequest returns the response');
+  const list = await spoke.listRequests({});
+  assert.equal(list.body.results[0].subject, 'Flat', 'listRequests returns the raw body');
+  const tagged = await spoke.addTags(response.body.id, { tags: [{ _id: 'tag-1' }] });
+  assert.deepEqual(tagged.body.tags, ['tag-1'], 'addTags returns the response');
+});
@@ -0,0 +1,49 @@
+'use strict';
+const test = require('tape');
+const retry = require('../lib/retry.js');
+
+const httpError = (statusCode, headers = {}) => Object.assign(new Error(`HTTP ${statusCode}`), {
+  response: { statusCode, headers }
+});
+
+test('[retry] retryPolicy', (assert) => {
+  assert.equal(retry.retryPolicy().limit, 3, 'default limit');
+  assert.equal(retry.retryPolicy(false).limit, 0, 'false disables retries');
+  assert.equal(retry.retryPolicy(5).limit, 5, 'number sets limit');
+  assert.deepEqual(retry.retryPolicy({ baseDelay: 1 }).methods, retry.DEFAULTS.methods, 'keeps default methods');
+  assert.end();
+});
+
+test('[retry] parseRetryAfter', (assert) => {
+  const now = Date.parse('2021-06-01T00:00:00Z');
+  assert.equal(retry.parseRetryAfter('2', now), 2000, 'delta seconds');
+  assert.equal(retry.parseRetryAfter('Tue, 01 Jun 2021 00:00:05 GMT', now), 5000, 'http date');
+  assert.equal(retry.parseRetryAfter('garbage', now), undefined, 'unparseable header ignored');
+  assert.equal(retry.parseRetryAfter(undefined, now), undefined, 'missing header ignored');
+  assert.end();
+});
+
+test('[retry] shouldRetry', (assert) => {
+  const policy = retry.retryPolicy();
+  assert.ok(retry.shouldRetry(httpError(503), { attempt: 1, method: 'GET' }, policy), 'retries GET on 503');
+  assert.ok(retry.shouldRetry(httpError(429), { attempt: 1, method: 'DELETE' }, policy), 'retries DELETE on 429');
+  assert.ok(retry.shouldRetry(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), { attempt: 1, method: 'GET' }, policy), 'retries socket reset');
+  assert.notOk(retry.shouldRetry(httpError(404), { attempt: 1, method: 'GET' }, policy), 'does not retry 404');
+  assert.notOk(retry.shouldRetry(httpError(503), { attempt: 4, method: 'GET' }, policy), 'stops at limit');
+  assert.notOk(retry.shouldRetry(httpError(503), { attempt: 1, method: 'POST' }, policy), 'does not retry POST by default');
+  assert.ok(retry.shouldRetry(httpError(503), { attempt: 1, method: 'POST', retry: true }, policy), 'retries POST when opted in');
+  assert.notOk(retry.shouldRetry(httpError(503), { attempt: 1, method: 'GET', retry: false }, policy), 'call can opt out');
+  assert.end();
+});
+
+test('[retry] retryDelay', (assert) => {
+  const policy = retry.retryPolicy({ baseDelay: 100, maxDelay: 1000 });
+  for (let i = 0; i < 20; i++) {
+    const delay = retry.retryDelay(httpError(503), 3, policy);
+    assert.ok(delay >= 0 && delay < 400, 'jittered delay within backoff ceiling');
+  }
+  assert.ok(retry.retryDelay(httpError(503), 10, policy) < 1000, 'capped at maxDelay');
+  assert.equal(retry.retryDelay(httpError(429, { 'retry-after': '0.5' }), 1, policy), 500, 'honours Retry-After');
+  assert.equal(retry.retryDelay(httpError(429, { 'retry-after': '60' }), 1, policy), 1000, 'Retry-After capped at maxDelay');
+  assert.end();
+});
@@ -1,4 +1,9 @@
 'use strict';
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const util = require('util');
 // const got = require('got');
 const test = require('tape');
 const sinon = require('sinon');
@@ -110,3 +115,345 @@ test('[spoke] updateTeam', async (assert) => {
   sinon.restore();
   assert.end();
 });
+
+test('[spoke] token from apiKey option', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  assert.equal(await spoke.token(), 'abc', 'returned literal api key');
+  assert.equal(spoke.secretPrefix, undefined, 'no secret prefix set');
+  assert.end();
+});
+
+test('[spoke] token from environment variable', async (assert) => {
+  process.env.TEST_SPOKE_KEY = 'from-env';
+  const spoke = new Spoke({ apiKeyEnv: 'TEST_SPOKE_KEY' });
+  assert.equal(await spoke.token(), 'from-env', 'returned api key from env');
+  delete process.env.TEST_SPOKE_KEY;
+  assert.end();
+});
+
+test('[spoke] token from file falls through when missing', async (assert) => {
+  const file = path.join(os.tmpdir(), `spoke-key-${process.pid}`);
+  const missing = new Spoke({ apiKeyFile: `${file}-missing`, apiKey: 'fallback' });
+  assert.equal(await missing.token(), 'fallback', 'fell through to next provider');
+
+  fs.writeFileSync(file, 'from-file\n');
+  const spoke = new Spoke({ apiKeyFile: file });
+  assert.equal(await spoke.token(), 'from-file', 'returned trimmed api key from file');
+  fs.unlinkSync(file);
+  assert.end();
+});
+
+test('[spoke] token from custom provider chain', async (assert) => {
+  const spoke = new Spoke({
+    credentials: [() => undefined, async () => 'from-fn']
+  });
+  assert.equal(await spoke.token(), 'from-fn', 'returned api key from second provider');
+  assert.end();
+});
+
+test('[spoke] token rejects when no provider has a key', async (assert) => {
+  const spoke = new Spoke({ credentials: () => undefined });
+  try {
+    await spoke.token();
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(/No Spoke API key/.test(error.message), 'rejected with lookup error');
+  }
+  assert.end();
+});
+
+test('[spoke] null options are treated like no options', async (assert) => {
+  assert.doesNotThrow(() => new Spoke(null), 'constructor accepts null');
+  assert.equal(typeof Spoke.credentials.fromOptions(null), 'function', 'provider chain built');
+  assert.end();
+});
+
+test('[spoke] token from Secrets Manager with region and json key', async (assert) => {
+  const getSecretValue = AWS.stub('SecretsManager', 'getSecretValue', function() {
+    this.request.promise.resolves({ SecretString: JSON.stringify({ spoke: 'from-json' }) });
+  });
+  const spoke = new Spoke({ secretPrefix: fakeSecretPath, region: 'eu-west-1', secretKey: 'spoke' });
+  assert.equal(await spoke.token(), 'from-json', 'extracted json key from secret');
+  assert.ok(AWS.SecretsManager.calledWith({ region: 'eu-west-1' }), 'used configured region');
+  assert.ok(getSecretValue.calledWith({ SecretId: fakeSecretPath }), 'looked up configured secret');
+  AWS.SecretsManager.restore();
+  assert.end();
+});
+
+test('[spoke] plain-string secret with a json key never shows the secret in the error', async (assert) => {
+  AWS.stub('SecretsManager', 'getSecretValue', function() {
+    this.request.promise.resolves({ SecretString: 'sk_live_SUPERSECRET' });
+  });
+  const spoke = new Spoke({ secretPrefix: fakeSecretPath, secretKey: 'spoke' });
+  try {
+    await spoke.token();
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeCredentialsError, 'rejected with SpokeCredentialsError');
+    assert.ok(error.message.includes(fakeSecretPath), 'names the secret ID');
+    assert.notOk(error.message.includes('sk_live'), 'message has no secret text');
+    assert.notOk(JSON.stringify(error).includes('sk_live'), 'JSON has no secret text');
+    assert.notOk(util.inspect(error, { depth: null }).includes('sk_live'), 'inspect has no secret text');
+  }
+  AWS.SecretsManager.restore();
+  assert.end();
+});
+
+test('[spoke] quoted text from provider errors is redacted', async (assert) => {
+  const spoke = new Spoke({ credentials: () => JSON.parse('abc123') });
+  try {
+    await spoke.token();
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(/lookup failed/.test(error.message), 'lookup failure reported');
+    assert.notOk(error.message.includes('abc123'), 'provider input not copied into the message');
+  }
+  assert.end();
+});
+
+test('[spoke] request pipeline reuses one got instance', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  assert.equal(spoke.gotClient(), spoke.gotClient(), 'same got instance returned');
+  assert.end();
+});
+
+test('[spoke] interleaved calls keep their own params', async (assert) => {
+  const spoke = new Spoke({ credentials: () => new Promise((resolve) => setTimeout(resolve, 5, 'abc')) });
+  const client = sinon.fake.resolves({ body: {} });
+  sinon.stub(spoke, 'gotClient').returns(client);
+
+  await Promise.all([
+    spoke.listUsers({ q: 'someone@example.com' }),
+    spoke.updateTeam('team1', { settings: { delegation: { strategy: 'ROUND_ROBIN' } } }),
+    spoke.getRequest('req1'),
+    spoke.listTeams({ q: 'Information Technology' })
+  ]);
+
+  const calls = client.getCalls().map((call) => call.args);
+  const byEndpoint = (endpoint) => calls.find((args) => args[0] === endpoint)[1];
+  assert.equal(calls.length, 4, 'made four calls');
+  assert.deepEqual(byEndpoint('users').searchParams, { q: 'someone@example.com' }, 'listUsers sent its own query');
+  assert.equal(byEndpoint('users').json, undefined, 'listUsers sent no body');
+  assert.equal(byEndpoint('teams/team1').method, 'PATCH', 'updateTeam sent a PATCH');
+  assert.deepEqual(byEndpoint('teams/team1').json, { settings: { delegation: { strategy: 'ROUND_ROBIN' } } }, 'updateTeam sent its own body');
+  assert.equal(byEndpoint('teams/team1').searchParams, undefined, 'updateTeam sent no query');
+  assert.equal(byEndpoint('requests/req1').searchParams, undefined, 'getRequest did not leak a query');
+  assert.equal(byEndpoint('requests/req1').json, undefined, 'getRequest did not leak a body');
+  assert.deepEqual(byEndpoint('teams').searchParams, { q: 'Information Technology' }, 'listTeams sent its own query');
+  assert.equal(byEndpoint('teams').headers['Api-key'], 'abc', 'api key header set per call');
+  sinon.restore();
+  assert.end();
+});
+
+const fakePages = (items) => sinon.fake((query) => Promise.resolve({
+  body: { results: items.slice(query.start, query.start + query.limit), total: items.length }
+}));
+
+test('[spoke] iterateRequests follows limit/start paging', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  const items = Array.from({ length: 7 }, (v, i) => ({ id: `req${i}` }));
+  spoke.listRequests = fakePages(items);
+
+  const seen = [];
+  for await (const request of spoke.iterateRequests({ status: 'OPEN', limit: 3 })) seen.push(request.id);
+
+  assert.deepEqual(seen, items.map((item) => item.id), 'yielded every request in order');
+  assert.equal(spoke.listRequests.callCount, 3, 'fetched three pages');
+  assert.deepEqual(spoke.listRequests.getCall(1).args[0], { status: 'OPEN', limit: 3, start: 3 }, 'passed filters with paging params');
+  assert.end();
+});
+
+test('[spoke] iterate stops on an empty page when total is not reported', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  spoke.listTags = sinon.fake((query) => Promise.resolve({
+    body: { results: query.start < 4 ? [{ id: query.start }, { id: query.start + 1 }] : [] }
+  }));
+
+  const tags = [];
+  for await (const tag of spoke.iterateTags({ limit: 2 })) tags.push(tag.id);
+  assert.deepEqual(tags, [0, 1, 2, 3], 'yielded all tags');
+  assert.equal(spoke.listTags.callCount, 3, 'stopped after the empty page');
+  assert.end();
+});
+
+test('[spoke] iterate keeps paging when the server caps the page size below limit', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  const items = Array.from({ length: 7 }, (v, i) => ({ id: `req${i}` }));
+  spoke.listRequests = sinon.fake((query) => Promise.resolve({
+    body: { results: items.slice(query.start, query.start + Math.min(query.limit, 2)), total: items.length }
+  }));
+
+  const seen = [];
+  for await (const request of spoke.iterateRequests({ limit: 5 })) seen.push(request.id);
+  assert.deepEqual(seen, items.map((item) => item.id), 'yielded every request');
+  assert.deepEqual(spoke.listRequests.getCalls().map((call) => call.args[0].start), [0, 2, 4, 6], 'followed total past short pages');
+  assert.end();
+});
+
+test('[spoke] listAll collects pages up to maxItems', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc' });
+  const items = Array.from({ length: 60 }, (v, i) => ({ id: `user${i}` }));
+  spoke.listUsers = fakePages(items);
+
+  const all = await spoke.listAll('users', { q: 'example.com' });
+  assert.equal(all.length, 60, 'collected every user');
+
+  spoke.listUsers = fakePages(items);
+  const capped = await spoke.listAll('users', {}, { maxItems: 30 });
+  assert.equal(capped.length, 30, 'stopped at maxItems');
+  assert.equal(spoke.listUsers.callCount, 2, 'did not fetch pages past maxItems');
+
+  try {
+    await spoke.listAll('widgets');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(/Unknown Spoke list resource/.test(error.message), 'rejected unknown resource');
+  }
+  assert.end();
+});
+
+const transient = (statusCode, headers = {}) => Object.assign(new Error(`HTTP ${statusCode}`), {
+  response: { statusCode, headers }
+});
+
+test('[spoke] retries idempotent calls and reports each retry', async (assert) => {
+  const retries = [];
+  const spoke = new Spoke({ apiKey: 'abc', retry: { baseDelay: 1, onRetry: (info) => retries.push(info) } });
+  const client = sinon.stub();
+  client.onCall(0).rejects(transient(503));
+  client.onCall(1).rejects(transient(429, { 'retry-after': '0' }));
+  client.onCall(2).resolves({ body: { id: 'req1' } });
+  sinon.stub(spoke, 'gotClient').returns(client);
+
+  const response = await spoke.getRequest('req1');
+  assert.equal(response.body.id, 'req1', 'resolved after retries');
+  assert.equal(client.callCount, 3, 'made three attempts');
+  assert.deepEqual(retries.map((info) => info.attempt), [1, 2], 'onRetry called for each retry');
+  assert.equal(retries[1].delay, 0, 'used Retry-After delay');
+  assert.equal(retries[0].endpoint, 'requests/req1', 'onRetry receives the endpoint');
+  sinon.restore();
+  assert.end();
+});
+
+test('[spoke] gives up after the retry limit', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc', retry: { limit: 2, baseDelay: 1 } });
+  const client = sinon.stub().rejects(transient(502));
+  sinon.stub(spoke, 'gotClient').returns(client);
+
+  try {
+    await spoke.listTeams({});
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.equal(error.status, 502, 'rejected with the last error');
+  }
+  assert.equal(client.callCount, 3, 'one attempt plus two retries');
+  sinon.restore();
+  assert.end();
+});
+
+test('[spoke] postRequest and postMessage only retry when opted in', async (assert) => {
+  const spoke = new Spoke({ apiKey: 'abc', retry: { baseDelay: 1 } });
+  const client = sinon.stub().rejects(transient(503));
+  sinon.stub(spoke, 'gotClient').returns(client);
+
+  try {
+    await spoke.postRequest({ subject: 'hi', requester: 'user1' });
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.equal(client.callCount, 1, 'postRequest not retried by default');
+  }
+
+  client.resetHistory();
+  client.onCall(1).resolves({ body: {} });
+  await spoke.postMessage('req1', { actor: { kind: 'User', ref: 'user-1' }, content: { message: { text: 'hi' } } }, { retry: true });
+  assert.equal(client.callCount, 2, 'postMessage retried when opted in');
+  sinon.restore();
+  assert.end();
+});
+
+test('[spoke] failed calls reject with typed errors', async (assert) => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Request not found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const spoke = new Spoke({ apiKey: 'super-secret', retry: false, baseUrl: `http://127.0.0.1:${server.address().port}` });
+
+  try {
+    await spoke.getRequest('missing');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeNotFoundError, 'rejected with SpokeNotFoundError');
+    assert.equal(error.spokeMessage, 'Request not found', 'carries Spoke message');
+    assert.equal(error.endpoint, 'requests/missing', 'carries endpoint');
+    assert.notOk(util.inspect(error, { depth: null }).includes('super-secret'), 'api key not in error');
+  }
+  server.close();
+  assert.end();
+});
+
+test('[spoke] credential failures reject with SpokeCredentialsError', async (assert) => {
+  const spoke = new Spoke({ credentials: () => Promise.reject(new Error('AccessDenied')) });
+  try {
+    await spoke.token();
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeCredentialsError, 'rejected with SpokeCredentialsError');
+    assert.ok(/AccessDenied/.test(error.message), 'includes lookup failure');
+  }
+  assert.end();
+});
+
+test('[spoke] token cache expires after tokenTtl and shares in-flight lookups', async (assert) => {
+  const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+  let lookups = 0;
+  const spoke = new Spoke({ tokenTtl: 60000, credentials: async () => `key-${++lookups}` });
+
+  const keys = await Promise.all([spoke.token(), spoke.token(), spoke.token()]);
+  assert.deepEqual(keys, ['key-1', 'key-1', 'key-1'], 'concurrent callers get the same key');
+  assert.equal(lookups, 1, 'one lookup for concurrent callers');
+
+  clock.tick(59999);
+  assert.equal(await spoke.token(), 'key-1', 'cached within the ttl');
+  clock.tick(1);
+  assert.equal(await spoke.token(), 'key-2', 'looked up again after the ttl');
+
+  spoke.invalidateToken('key-1');
+  assert.equal(await spoke.token(), 'key-2', 'stale invalidation ignored');
+  spoke.invalidateToken();
+  assert.equal(await spoke.token(), 'key-3', 'invalidation forces a lookup');
+  clock.restore();
+  assert.end();
+});
+
+test('[spoke] a 401 refreshes the key once and replays the call', async (assert) => {
+  const server = new Spoke.FakeSpokeServer({ apiKey: 'old-key' });
+  await server.start();
+  let current = 'old-key';
+  let lookups = 0;
+  const spoke = new Spoke({ baseUrl: server.baseUrl, credentials: async () => {
+    lookups++;
+    return current;
+  } });
+
+  assert.equal((await spoke.listTeams({})).statusCode, 200, 'first call with the old key');
+  server.apiKey = current = 'new-key';
+  const [teams, created] = await Promise.all([
+    spoke.listTeams({}),
+    spoke.postRequest({ subject: 'Laptop', requester: 'user-1' })
+  ]);
+  assert.equal(teams.statusCode, 200, 'GET replayed with the new key');
+  assert.equal(created.statusCode, 201, 'POST replayed with the new key');
+  assert.equal(lookups, 2, 'concurrent 401s shared one refresh');
+
+  server.apiKey = 'unknown-key';
+  try {
+    await spoke.listTeams({});
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokeAuthError, 'still 401 after refresh rejects');
+  }
+  assert.equal(lookups, 3, 'refreshed once before giving up');
+  await server.stop();
+  assert.end();
+});
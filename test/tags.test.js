@@ -0,0 +1,100 @@
+'use strict';
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+const { SpokeResolveError, SpokeConflictError } = Spoke;
+
+const withServer = serverTest({
+  seed: (seed) => {
+    seed.tags.push({ id: 'tag-3', name: 'lap top' });
+    seed.requests = [
+      { id: 'req-1', subject: 'New laptop', requester: 'user-1', tags: ['tag-2'] },
+      { id: 'req-2', subject: 'Broken laptop', requester: 'user-1', tags: ['tag-3', 'tag-2'] },
+      { id: 'req-3', subject: 'Old laptop', requester: 'user-2', tags: ['tag-3', 'tag-1'] },
+      { id: 'req-4', subject: 'Printer', requester: 'user-2', tags: [] }
+    ];
+    return seed;
+  }
+});
+
+const writes = (server) => server.calls.filter((call) => ['PATCH', 'DELETE', 'POST'].includes(call.method));
+
+withServer('[tags] setTags applies only the differences', async (assert, spoke, server) => {
+  const result = await spoke.setTags('req-1', ['Laptop', 'urgent']);
+  assert.deepEqual(result.tags.map((tag) => tag.name), ['laptop', 'urgent'], 'resulting tag set');
+  assert.deepEqual(result.added.map((tag) => tag.id), ['tag-1'], 'one tag added');
+  assert.deepEqual(result.removed, [], 'nothing removed');
+  assert.deepEqual(server.get('requests', 'req-1').tags.sort(), ['tag-1', 'tag-2'], 'tags stored');
+  assert.equal(writes(server).length, 1, 'a single add call');
+
+  server.calls.length = 0;
+  const same = await spoke.setTags('req-1', [{ name: 'urgent' }, { _id: 'tag-1' }]);
+  assert.deepEqual(same.added.concat(same.removed), [], 'no changes');
+  assert.equal(writes(server).length, 0, 'no calls when already in sync');
+
+  const fewer = await spoke.requests.setTags('req-1', ['laptop']);
+  assert.deepEqual(fewer.removed.map((tag) => tag.name), ['urgent'], 'removed tag reported by name');
+  assert.deepEqual(server.get('requests', 'req-1').tags, ['tag-1'], 'urgent removed');
+
+  const none = await spoke.setTags('req-1', []);
+  assert.deepEqual(none.tags, [], 'empty set clears the tags');
+  assert.deepEqual(server.get('requests', 'req-1').tags, [], 'no tags left');
+});
+
+withServer('[tags] setTags fails on unknown names unless create is set', async (assert, spoke, server) => {
+  try {
+    await spoke.setTags('req-4', ['laptop', 'printer']);
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof SpokeResolveError, 'SpokeResolveError');
+    assert.equal(error.message, 'No tags match "printer"', 'names the missing tag');
+  }
+  assert.deepEqual(server.get('requests', 'req-4').tags, [], 'request untouched');
+
+  const result = await spoke.setTags('req-4', ['laptop', ' printer '], { create: true });
+  const created = server.list('tags').find((tag) => tag.name === 'printer');
+  assert.ok(created, 'missing tag created with a trimmed name');
+  assert.deepEqual(result.tags.map((tag) => tag.id), ['tag-1', created.id], 'created tag in the result');
+  assert.deepEqual(server.get('requests', 'req-4').tags, ['tag-1', created.id], 'both tags on the request');
+
+  await spoke.setTags('req-1', ['Printer'], { create: true });
+  assert.equal(server.list('tags').filter((tag) => tag.name.toLowerCase() === 'printer').length, 1, 'existing tag reused');
+});
+
+withServer('[tags] tags.create reports duplicates', async (assert, spoke) => {
+  const tag = await spoke.tags.create('hardware');
+  assert.equal(tag.name, 'hardware', 'Tag model returned');
+  try {
+    await spoke.tags.create('Hardware');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof SpokeConflictError, 'duplicate name is a conflict');
+  }
+});
+
+withServer('[tags] bulk.mergeTag moves every request to the target tag', async (assert, spoke, server) => {
+  const report = await spoke.bulk.mergeTag('lap top', 'laptop');
+  assert.deepEqual(report.succeeded.sort(), ['req-2', 'req-3'], 'only tagged requests visited');
+  assert.equal(report.from.id, 'tag-3', 'source tag reported');
+  assert.equal(report.to.id, 'tag-1', 'target tag reported');
+  assert.deepEqual(server.get('requests', 'req-2').tags.sort(), ['tag-1', 'tag-2'], 'tag replaced');
+  assert.deepEqual(server.get('requests', 'req-3').tags, ['tag-1'], 'no duplicate when the target was already there');
+
+  const again = await spoke.bulk.mergeTag('lap top', 'laptop');
+  assert.equal(again.total, 0, 'nothing left to merge');
+});
+
+withServer('[tags] bulk.renameTag creates the new tag', async (assert, spoke, server) => {
+  const report = await spoke.bulk.renameTag({ _id: 'tag-3' }, 'notebook');
+  const notebook = server.list('tags').find((tag) => tag.name === 'notebook');
+  assert.ok(notebook, 'new tag created');
+  assert.equal(report.succeeded.length, 2, 'both requests renamed');
+  assert.ok(server.list('requests').every((request) => !request.tags.includes('tag-3')), 'old tag no longer used');
+  assert.deepEqual(server.get('requests', 'req-3').tags, ['tag-1', notebook.id], 'new tag added');
+
+  try {
+    await spoke.bulk.mergeTag('lap top', 'missing');
+    assert.fail('should have thrown');
+  } catch (error) {
+    assert.ok(error instanceof SpokeResolveError, 'merge into an unknown tag fails without create');
+  }
+});
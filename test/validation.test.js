@@ -0,0 +1,114 @@
+'use strict';
+const test = require('tape');
+const Spoke = require('../index.js');
+const { FakeSpokeServer } = Spoke;
+const { validate, assertValid, validationOptions } = Spoke.validation;
+
+const withServer = (name, options, fn) => test(name, async (assert) => {
+  const server = new FakeSpokeServer();
+  await server.start();
+  const warnings = [];
+  const spoke = new Spoke(Object.assign(server.clientOptions(), {
+    validation: Object.assign({ onWarning: (warning) => warnings.push(warning) }, options)
+  }));
+  try {
+    await fn(assert, spoke, server, warnings);
+  } finally {
+    await server.stop();
+  }
+  assert.end();
+});
+
+test('[validation] reports errors with precise paths', (assert) => {
+  assert.deepEqual(validate('request', { body: 'no subject' }).errors, [
+    { path: 'request.subject', message: 'is required' },
+    { path: 'request.requester', message: 'is required' }
+  ], 'missing required fields');
+  assert.deepEqual(validate('message', { actor: { ref: 'user-1' }, content: { message: { text: 'hi' } } }).errors, [
+    { path: 'message.actor.kind', message: 'is required' }
+  ], 'actor without kind');
+  assert.deepEqual(validate('requestUpdate', { requestTypeInfo: { answeredFields: [{ fieldId: 'f1', value: 1 }, { value: 2 }] } }).errors, [
+    { path: 'requestUpdate.requestTypeInfo.answeredFields[1].fieldId', message: 'is required' }
+  ], 'array items are indexed');
+  assert.deepEqual(validate('request', { subject: 'x', requester: 42 }).errors, [
+    { path: 'request.requester', message: 'must be string or object, got number' }
+  ], 'wrong type');
+  assert.deepEqual(validate('request', { subject: 'x', requester: { name: 'Ada' } }).errors, [
+    { path: 'request.requester', message: 'must have one of id, _id, email, displayName' }
+  ], 'reference without a usable key');
+  assert.deepEqual(validate('tags', { tags: [] }).errors, [{ path: 'tags.tags', message: 'must not be empty' }], 'empty tag list');
+  assert.deepEqual(validate('requestUpdate', { owner: null }), { errors: [], warnings: [] }, 'owner may be cleared');
+  assert.throws(() => validate('nope', {}), /Unknown Spoke payload schema: nope/, 'unknown schema');
+  assert.end();
+});
+
+test('[validation] unknown keys are warnings with suggestions', (assert) => {
+  const result = validate('teamUpdate', { settings: { delegation: { strategy: 'SPECIFIC_USER', specificUser: 'user-1' } } });
+  assert.deepEqual(result.warnings, [
+    { path: 'teamUpdate.settings.delegation.specificUser', message: 'is not a known field (did you mean specifiedUser?)' }
+  ], 'misspelled delegation key');
+  assert.deepEqual(result.errors, [
+    { path: 'teamUpdate.settings.delegation.specifiedUser', message: 'is required when strategy is SPECIFIC_USER (found specificUser)' }
+  ], 'specified user required for SPECIFIC_USER');
+
+  const ignored = validate('teamUpdate', { settings: { delegation: { strategy: 'ROUND_ROBIN', specifiedUser: 'user-1' } } });
+  assert.deepEqual(ignored.warnings, [
+    { path: 'teamUpdate.settings.delegation.specifiedUser', message: 'is ignored unless strategy is SPECIFIC_USER' }
+  ], 'key that does not apply to the strategy');
+  assert.deepEqual(validate('requestUpdate', { Subject: 'x' }).warnings[0].message, 'is not a known field (did you mean subject?)', 'case slip');
+  assert.end();
+});
+
+test('[validation] assertValid throws SpokePayloadError and honours strict mode', (assert) => {
+  const seen = [];
+  const options = validationOptions({ onWarning: (warning) => seen.push(warning) });
+  const warnings = assertValid('request', { subject: 'x', requester: 'user-1', colour: 'red' }, options);
+  assert.deepEqual(warnings, seen, 'warnings returned and reported');
+  assert.equal(seen[0].path, 'request.colour', 'warning path');
+
+  try {
+    assertValid('request', { subject: 'x', requester: 'user-1', colour: 'red' }, Object.assign({}, options, { strict: true }), { method: 'POST', endpoint: 'requests' });
+    assert.fail('strict mode should throw');
+  } catch (error) {
+    assert.ok(error instanceof Spoke.SpokePayloadError, 'SpokePayloadError');
+    assert.ok(error instanceof Spoke.SpokeValidationError, 'is a SpokeValidationError');
+    assert.equal(error.message, 'Invalid request payload: request.colour is not a known field', 'message lists problems');
+    assert.deepEqual(error.toJSON().problems, [{ path: 'request.colour', message: 'is not a known field' }], 'problems serialized');
+    assert.equal(error.endpoint, 'requests', 'endpoint recorded');
+  }
+  assert.deepEqual(assertValid('request', {}, validationOptions(false)), [], 'validation can be turned off');
+  assert.end();
+});
+
+withServer('[validation] mutating methods check payloads before calling Spoke', {}, async (assert, spoke, server, warnings) => {
+  const checks = [
+    () => spoke.postRequest({ body: 'no subject', requester: 'user-1' }),
+    () => spoke.postMessage('req-1', { actor: { ref: 'user-1' }, content: { message: { text: 'hi' } } }),
+    () => spoke.updateRequest('req-1', { subject: '' }),
+    () => spoke.updateTeam('team-1', { settings: { delegation: { specifiedUser: 'user-1' } } }),
+    () => spoke.addTags('req-1', { tags: [] })
+  ];
+  for (const call of checks) {
+    try {
+      await call();
+      assert.fail('should throw');
+    } catch (error) {
+      assert.ok(error instanceof Spoke.SpokePayloadError, error.message);
+    }
+  }
+  assert.equal(server.calls.length, 0, 'no HTTP calls made');
+
+  const response = await spoke.postRequest({ subject: 'Laptop', requester: 'ada@example.com', urgency: 'high' });
+  assert.equal(response.statusCode, 201, 'warnings do not block the call');
+  assert.deepEqual(warnings, [{ path: 'request.urgency', message: 'is not a known field' }], 'warning reported');
+});
+
+withServer('[validation] strict client rejects unknown keys', { strict: true }, async (assert, spoke, server) => {
+  try {
+    await spoke.updateTeam('team-1', { settings: { delegation: { strategy: 'SPECIFIC_USER', specifiedUser: 'user-1', specificUser: 'user-1' } } });
+    assert.fail('should throw');
+  } catch (error) {
+    assert.deepEqual(error.problems.map((problem) => problem.path), ['teamUpdate.settings.delegation.specificUser'], 'unknown key is an error');
+  }
+  assert.equal(server.calls.filter((call) => call.method === 'PATCH').length, 0, 'team not updated');
+});
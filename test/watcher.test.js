@@ -0,0 +1,161 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Spoke = require('../index.js');
+const { serverTest } = require('./helpers');
+
+const withServer = serverTest({
+  seed: (seed) => Object.assign(seed, {
+    requests: [
+      { id: 'req-1', subject: 'Laptop', requester: 'user-1', team: 'team-1' },
+      { id: 'req-2', subject: 'VPN', requester: 'user-2', team: 'team-1' }
+    ]
+  })
+});
+
+const summary = (events) => events.map((event) => `${event.type} ${event.request.id}`);
+
+withServer('[watcher] emits created, updated and statusChanged with diffs', async (assert, spoke) => {
+  const watcher = spoke.watchRequests({ team: 'team-1' });
+  const emitted = [];
+  for (const type of ['created', 'updated', 'statusChanged']) watcher.on(type, (event) => emitted.push(event));
+
+  assert.deepEqual(await watcher.poll(), [], 'existing requests are the baseline');
+
+  const { body: monitor } = await spoke.postRequest({ subject: 'Monitor', requester: 'user-1', team: 'team-1' });
+  await spoke.updateRequest('req-1', { status: 'RESOLVED', owner: 'user-2' });
+  await spoke.updateRequest('req-2', { subject: 'VPN access' });
+  const events = await watcher.poll();
+  assert.deepEqual(summary(events), ['updated req-1', 'statusChanged req-1', 'updated req-2', `created ${monitor.id}`], 'one event per change');
+  assert.deepEqual(emitted, events, 'events emitted');
+
+  const update = events.find((event) => event.type === 'updated' && event.request.id === 'req-1');
+  assert.deepEqual(update.changes, {
+    status: { before: 'OPEN', after: 'RESOLVED' },
+    owner: { before: undefined, after: 'user-2' }
+  }, 'before/after diff');
+  const status = events.find((event) => event.type === 'statusChanged');
+  assert.deepEqual([status.before, status.after], ['OPEN', 'RESOLVED'], 'status transition');
+
+  assert.deepEqual(await watcher.poll(), [], 'nothing new, nothing emitted');
+});
+
+withServer('[watcher] file checkpoint survives restarts', async (assert, spoke) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spoke-watch-')), 'watch.json');
+  const first = spoke.watchRequests({}, { checkpoint: file, initial: 'emit' });
+  assert.deepEqual(summary(await first.poll()), ['created req-1', 'created req-2'], 'initial emit reports existing requests');
+
+  await spoke.updateRequest('req-2', { status: 'PENDING' });
+  await spoke.updateRequest('req-2', { status: 'RESOLVED' });
+
+  const restarted = spoke.watchRequests({}, { checkpoint: file, initial: 'emit' });
+  const events = await restarted.poll();
+  assert.deepEqual(summary(events), ['updated req-2', 'statusChanged req-2'], 'change made while down is reported once');
+  assert.deepEqual([events[1].before, events[1].after], ['OPEN', 'RESOLVED'], 'changes while down are coalesced');
+
+  const again = spoke.watchRequests({}, { checkpoint: file });
+  assert.deepEqual(await again.poll(), [], 'nothing replayed after another restart');
+});
+
+withServer('[watcher] async iteration commits after each batch is consumed', async (assert, spoke) => {
+  const store = new Spoke.checkpoint.MemoryCheckpointStore();
+  const watcher = spoke.watchRequests({}, { checkpoint: store, interval: 20, initial: 'emit' });
+  const seen = [];
+  for await (const event of watcher) {
+    seen.push(`${event.type} ${event.request.id}`);
+    if (seen.length === 1) assert.equal(store.state, undefined, 'not saved mid-batch');
+    if (seen.length === 2) await spoke.updateRequest('req-1', { subject: 'Laptop (urgent)' });
+    if (seen.length === 3) break;
+  }
+  assert.deepEqual(seen, ['created req-1', 'created req-2', 'updated req-1'], 'iterates across polls');
+  assert.deepEqual(Object.keys(store.state.requests), ['req-1', 'req-2'], 'first batch saved once consumed');
+  assert.equal(store.state.requests['req-1'].subject, 'Laptop', 'unconsumed batch not saved');
+});
+
+withServer('[watcher] start polls until stopped and reports errors', async (assert, spoke, server) => {
+  const watcher = spoke.watchRequests({}, { interval: 20 });
+  const created = [];
+  const errors = [];
+  watcher.on('created', (event) => created.push(event.request.subject));
+  watcher.on('error', (error) => errors.push(error));
+  watcher.start();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await spoke.postRequest({ subject: 'Keyboard', requester: 'user-1' });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  server.apiKey = 'rotated';
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  watcher.stop();
+  assert.deepEqual(created, ['Keyboard'], 'new request picked up by the interval');
+  assert.ok(errors.length >= 1 && errors[0] instanceof Spoke.SpokeAuthError, 'poll failures emitted as error');
+});
+
+withServer('[watcher] later polls only list requests updated since the newest one seen', async (assert, spoke, server) => {
+  const store = new Spoke.checkpoint.MemoryCheckpointStore();
+  const watcher = spoke.watchRequests({ team: 'team-1' }, { checkpoint: store });
+  await watcher.poll();
+  const cursor = store.state.cursor;
+  assert.equal(cursor, server.get('requests', 'req-2').updatedAt, 'cursor is the newest updatedAt');
+
+  await spoke.updateRequest('req-2', { subject: 'VPN access' });
+  server.calls = [];
+  assert.deepEqual(summary(await watcher.poll()), ['updated req-2'], 'change found');
+  const lists = server.calls.filter((call) => call.path === 'requests');
+  assert.deepEqual(lists.map((call) => call.query.updatedSince), [cursor, cursor], 'both listings filtered by updatedSince');
+  assert.equal(lists[1].query.team, 'team-1', 'query kept on the filtered listing');
+  assert.deepEqual(lists.map((call) => call.query.start), ['0', '0'], 'one page each, only the changed request');
+  assert.equal(store.state.cursor, server.get('requests', 'req-2').updatedAt, 'cursor moved forward');
+});
+
+withServer('[watcher] a request leaving the query reports its change and is dropped', async (assert, spoke) => {
+  const store = new Spoke.checkpoint.MemoryCheckpointStore();
+  const watcher = spoke.watchRequests({ status: 'OPEN' }, { checkpoint: store });
+  const removed = [];
+  watcher.on('removed', (event) => removed.push(event));
+  await watcher.poll();
+
+  await spoke.updateRequest('req-1', { status: 'RESOLVED' });
+  const events = await watcher.poll();
+  assert.deepEqual(summary(events), ['updated req-1', 'statusChanged req-1', 'removed req-1'], 'status change then removal');
+  assert.deepEqual([events[1].before, events[1].after], ['OPEN', 'RESOLVED'], 'transition out of the query');
+  assert.equal(events[2].request.status, 'RESOLVED', 'removed carries the current request');
+  assert.equal(events[2].deleted, false, 'not deleted');
+  assert.equal(removed.length, 1, 'removed emitted');
+  assert.deepEqual(Object.keys(store.state.requests), ['req-2'], 'snapshot pruned to requests still matching');
+
+  await spoke.updateRequest('req-1', { subject: 'Laptop (again)' });
+  assert.deepEqual(await watcher.poll(), [], 'changes outside the query are ignored');
+});
+
+withServer('[watcher] a request deleted after an incremental poll is found by the next full listing', async (assert, spoke, server) => {
+  const store = new Spoke.checkpoint.MemoryCheckpointStore();
+  const watcher = spoke.watchRequests({}, { checkpoint: store, rescanInterval: 50 });
+  await watcher.poll();
+  await spoke.updateRequest('req-1', { subject: 'Laptop (urgent)' });
+  assert.deepEqual(summary(await watcher.poll()), ['updated req-1'], 'incremental poll');
+  const { cursor, scannedAt } = store.state;
+
+  await spoke.deleteRequest('req-2');
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  server.calls = [];
+  const events = await watcher.poll();
+  assert.deepEqual(summary(events), ['removed req-2'], 'deletion reported');
+  assert.equal(events[0].deleted, true, 'reported as deleted');
+  assert.equal(server.calls.find((call) => call.path === 'requests').query.updatedSince, undefined, 'every match listed again');
+  assert.deepEqual(Object.keys(store.state.requests), ['req-1'], 'snapshot pruned');
+  assert.equal(store.state.cursor, cursor, 'cursor kept');
+  assert.ok(store.state.scannedAt > scannedAt, 'full listing time recorded');
+});
+
+withServer('[watcher] a deleted request is removed when listing everything', async (assert, spoke) => {
+  const store = new Spoke.checkpoint.MemoryCheckpointStore();
+  // a checkpoint without a cursor, as written before cursors existed
+  store.state = { requests: { 'req-1': { subject: 'Laptop', status: 'OPEN' }, 'req-2': { subject: 'VPN', status: 'OPEN' } } };
+  await spoke.deleteRequest('req-2');
+  const events = await spoke.watchRequests({}, { checkpoint: store, fields: ['subject', 'status'] }).poll();
+  assert.deepEqual(summary(events), ['removed req-2'], 'missing request fetched and reported');
+  assert.equal(events[0].deleted, true, 'reported as deleted');
+  assert.equal(events[0].request.subject, 'VPN', 'last known fields kept');
+  assert.deepEqual(Object.keys(store.state.requests), ['req-1'], 'snapshot pruned');
+  assert.ok(store.state.cursor, 'cursor recorded for the next poll');
+});
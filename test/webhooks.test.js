@@ -0,0 +1,127 @@
+'use strict';
+const http = require('http');
+const test = require('tape');
+const got = require('got');
+const Spoke = require('../index.js');
+const { SpokeWebhooks, FakeSpokeServer } = Spoke;
+
+const secret = 'webhook-secret';
+
+const delivery = (payload, { timestamp = Math.floor(Date.now() / 1000), signWith = secret } = {}) => {
+  const body = JSON.stringify(payload);
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'x-spoke-timestamp': String(timestamp),
+      'x-spoke-signature': SpokeWebhooks.sign(signWith, body, timestamp)
+    }
+  };
+};
+
+test('[webhooks] verify accepts signed deliveries and rejects forgeries and replays', (assert) => {
+  const webhooks = new SpokeWebhooks({ secret });
+  const ok = delivery({ type: 'request.created' });
+  assert.doesNotThrow(() => webhooks.verify(ok.body, ok.headers), 'valid signature accepted');
+
+  const forged = delivery({ type: 'request.created' }, { signWith: 'other' });
+  assert.throws(() => webhooks.verify(forged.body, forged.headers), Spoke.SpokeWebhookError, 'wrong secret rejected');
+  assert.throws(() => webhooks.verify(`${ok.body} `, ok.headers), /signature does not match/, 'tampered body rejected');
+
+  const old = delivery({ type: 'request.created' }, { timestamp: Math.floor(Date.now() / 1000) - 600 });
+  assert.throws(() => webhooks.verify(old.body, old.headers), /tolerance window/, 'old delivery rejected as replay');
+  assert.throws(() => webhooks.verify(ok.body, {}), /missing its signature/, 'unsigned delivery rejected');
+  assert.end();
+});
+
+test('[webhooks] parses typed events and dispatches to handlers', async (assert) => {
+  const webhooks = new SpokeWebhooks({ secret });
+  const seen = [];
+  webhooks.on('request.status_changed', (event) => seen.push(['status', event]));
+  webhooks.on('*', (event) => seen.push(['any', event]));
+
+  const { body, headers } = delivery({
+    id: 'evt-1',
+    type: 'request.status_changed',
+    data: { request: { id: 'req-1', status: 'RESOLVED' }, previousStatus: 'OPEN' }
+  });
+  const { event } = await webhooks.handle(body, headers);
+
+  assert.ok(event instanceof SpokeWebhooks.RequestStatusChangedEvent, 'typed event');
+  assert.equal(event.requestId, 'req-1', 'request id parsed');
+  assert.equal(event.previousStatus, 'OPEN', 'previous status parsed');
+  assert.equal(event.status, 'RESOLVED', 'status parsed');
+  assert.deepEqual(seen.map(([name]) => name), ['status', 'any'], 'specific handler then wildcard');
+  assert.end();
+});
+
+test('[webhooks] node handler replies through the Spoke client', async (assert) => {
+  const fake = new FakeSpokeServer();
+  await fake.start();
+  const spoke = new Spoke(fake.clientOptions());
+  const { body: request } = await spoke.postRequest({ subject: 'VPN broken', requester: 'user-1' });
+
+  const webhooks = new SpokeWebhooks({ secret, spoke, actor: { kind: 'User', ref: 'user-2' } });
+  webhooks.on('request.created', (event) => ({ reply: `Looking into "${event.request.subject}"` }));
+  const server = http.createServer(webhooks.handler());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const ok = delivery({ type: 'request.created', data: { request } });
+  const response = await got.post(url, { body: ok.body, headers: ok.headers, responseType: 'json' });
+  assert.equal(response.statusCode, 200, 'delivery accepted');
+  assert.equal(fake.messages(request.id)[0].content.message.text, 'Looking into "VPN broken"', 'reply posted to the request');
+  assert.equal(fake.messages(request.id)[0].actor.ref, 'user-2', 'reply posted as the configured actor');
+
+  const forged = delivery({ type: 'request.created', data: { request } }, { signWith: 'other' });
+  const rejected = await got.post(url, { body: forged.body, headers: forged.headers, throwHttpErrors: false });
+  assert.equal(rejected.statusCode, 401, 'forged delivery rejected');
+
+  server.close();
+  await fake.stop();
+  assert.end();
+});
+
+test('[webhooks] node handler hides handler failures from the sender', async (assert) => {
+  const failures = [];
+  const webhooks = new SpokeWebhooks({ secret, onError: (error) => failures.push(error) });
+  webhooks.on('request.created', () => {
+    throw new Spoke.SpokeNotFoundError('Spoke API GET requests/req-9 failed with status 404: internal detail', { status: 404 });
+  });
+  const server = http.createServer(webhooks.handler());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const { body, headers } = delivery({ type: 'request.created', data: { request: { id: 'req-9' } } });
+  const response = await got.post(url, { body, headers, responseType: 'json', throwHttpErrors: false });
+  assert.equal(response.statusCode, 500, 'upstream status not passed back');
+  assert.deepEqual(response.body, { ok: false, message: 'Webhook handler failed' }, 'generic body');
+  assert.equal(failures.length, 1, 'real error sent to onError');
+  assert.ok(failures[0] instanceof Spoke.SpokeNotFoundError, 'onError gets the original error');
+
+  const bad = delivery({ data: {} });
+  const rejected = await got.post(url, { body: bad.body, headers: bad.headers, responseType: 'json', throwHttpErrors: false });
+  assert.equal(rejected.statusCode, 400, 'payload failures keep their 4xx');
+  assert.equal(failures.length, 1, 'payload failures are not handler failures');
+
+  server.close();
+  assert.end();
+});
+
+test('[webhooks] middleware uses rawBody and passes handler errors to next', async (assert) => {
+  const webhooks = new SpokeWebhooks({ secret });
+  webhooks.on('message.created', () => {
+    throw new Error('handler failed');
+  });
+  const { body, headers } = delivery({ type: 'message.created', data: { requestId: 'req-1', message: { text: 'hi' } } });
+  const req = { headers, rawBody: Buffer.from(body) };
+  const res = { setHeader: () => {}, end: () => {} };
+
+  const error = await new Promise((resolve) => webhooks.middleware()(req, res, resolve));
+  assert.equal(error.message, 'handler failed', 'handler error passed to next');
+
+  const parsed = { headers, body: JSON.parse(body) };
+  const rejected = await new Promise((resolve) => webhooks.middleware()(parsed, { setHeader: () => {}, end: resolve }, assert.fail));
+  assert.ok(/already parsed/.test(JSON.parse(rejected).message), 'pre-parsed body rejected');
+  assert.end();
+});